@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Print a seeded quiz and its answer key from the command line (e.g. for nightly drills).
+ * Run `node cli.js --help` for the options.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const quiz = require(path.join(__dirname, 'src', 'script.js'));
+
+/**
+ * The help text.
+ */
+const usage = `Usage: node cli.js [options]
+
+Print a quiz and its answer key. The same seed and options always print the same quiz,
+and the link in the output opens it in the browser.
+
+Options:
+  --seed <seed>          The seed of the quiz (letters and numbers, like the links). Random by default.
+  --link <hash>          Print the test of a link (e.g. "#seed=1k3b9x&years=1989-2049").
+  --count <number>       The number of questions (default ${quiz.defaultSettings.questionCount}).
+  --categories <ids>     The question categories, separated by commas (default: all).
+                         ${quiz.questionCategories.map(({ id }) => id).join(', ')}
+  --difficulty <1-3>     The hardest questions that are asked (default 3).
+  --years <from-to>      The years the quiz date is picked from (default ${quiz.defaultSettings.minYear}-${quiz.defaultSettings.maxYear}).
+  --questions <ids>      Ask these questions (ids separated by commas, e.g. weekday-today,month-last).
+  --pack <file>          Add the questions of a question pack (JSON). Can be used more than once.
+  --format <format>      ${quiz.quizFormats.join(', ')} or html (default text).
+                         html is a printable worksheet with its answer key.
+  --readings             Add the readings of the kanji to the questions.
+  --choices              Add the options of multiple choice mode.
+  --list                 List the questions that can be asked, instead of a quiz.
+  -h, --help             Show this help.
+`;
+
+/**
+ * Read the options and print the quiz.
+ * @param {string[]} args The command line arguments.
+ * @returns {void}
+ */
+const main = (args) => {
+    const { values } = parseArgs({
+        args,
+        options: {
+            seed: { type: 'string' },
+            link: { type: 'string' },
+            count: { type: 'string' },
+            categories: { type: 'string' },
+            difficulty: { type: 'string' },
+            years: { type: 'string' },
+            questions: { type: 'string' },
+            pack: { type: 'string', multiple: true },
+            format: { type: 'string', default: 'text' },
+            readings: { type: 'boolean', default: false },
+            choices: { type: 'boolean', default: false },
+            list: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(usage);
+        return;
+    }
+
+    (values.pack || []).forEach((file) => {
+        const { errors } = quiz.importPack(
+            JSON.parse(fs.readFileSync(file, 'utf8'))
+        );
+        if (errors.length > 0) {
+            throw new Error(
+                file + ' could not be imported:\n  ' + errors.join('\n  ')
+            );
+        }
+    });
+
+    const categories = values.categories
+        ? values.categories.split(',')
+        : undefined;
+    const unknown = (categories || []).filter(
+        (category) => !quiz.questionCategories.some(({ id }) => id === category)
+    );
+    if (unknown.length > 0) {
+        throw new Error('Unknown categories: ' + unknown.join(', '));
+    }
+
+    if (values.list) {
+        quiz.findQuestions({ categories }).forEach((question) => {
+            process.stdout.write(
+                [question.id, question.category, question.difficulty].join(
+                    '\t'
+                ) + '\n'
+            );
+        });
+        return;
+    }
+
+    const years = /^(\d{4})-(\d{4})$/.exec(values.years || '');
+    if (values.years && !years) {
+        throw new Error('The years have to be like 1989-2049.');
+    }
+    if (values.count !== undefined && !/^[1-9]\d*$/.test(values.count)) {
+        throw new Error(
+            'The number of questions has to be a positive integer.'
+        );
+    }
+    if (values.difficulty !== undefined && !/^[1-3]$/.test(values.difficulty)) {
+        throw new Error('The difficulty has to be 1, 2 or 3.');
+    }
+    const settings = quiz.normalizeSettings({
+        categories,
+        questionCount:
+            values.count !== undefined ? Number(values.count) : undefined,
+        maxDifficulty:
+            values.difficulty !== undefined
+                ? Number(values.difficulty)
+                : undefined,
+        minYear: years ? Number(years[1]) : undefined,
+        maxYear: years ? Number(years[2]) : undefined
+    });
+
+    const test = values.link
+        ? quiz.parseTestHash(values.link)
+        : quiz.parseTestHash(
+              '#seed=' +
+                  (values.seed || quiz.generateSeed().toString(36)) +
+                  '&years=' +
+                  settings.minYear +
+                  '-' +
+                  settings.maxYear +
+                  (values.questions ? '&questions=' + values.questions : '')
+          );
+    if (!test) {
+        throw new Error(
+            values.link
+                ? 'The link has no valid seed.'
+                : 'The seed has to be letters and numbers (up to 7).'
+        );
+    }
+
+    if (values.format === 'html') {
+        const css = ['style.css', 'reset.css']
+            .map((file) =>
+                fs.readFileSync(path.join(__dirname, 'src', file), 'utf8')
+            )
+            .join('\n');
+        process.stdout.write(quiz.worksheetToHtml(test, settings, css));
+        return;
+    }
+
+    process.stdout.write(
+        quiz.formatQuiz(quiz.createQuiz(test, settings), values.format, {
+            readings: values.readings,
+            choices: values.choices
+        })
+    );
+};
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(error.message + '\n');
+    process.exitCode = 1;
+}
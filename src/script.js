@@ -14,8 +14,8 @@
         tagName = '';
 
         /**
-         * A map of attributes to their values.
-         * @type {{[key: string]: string}}
+         * A map of attributes to their values. Functions with an on* name (e.g. onClick) are event listeners.
+         * @type {{[key: string]: (string | function(Event): void)}}
          * @public
          */
         attributes = {};
@@ -36,7 +36,7 @@
         /**
          * Creates a new BoundryElement.
          * @param {string} tagName The tag name of the element.
-         * @param {{[key: string]: string}} attributes A map of attributes to their values.
+         * @param {{[key: string]: (string | function(Event): void)}} attributes A map of attributes to their values.
          * @param {(BoundryElement | string | HTMLElement)[]} children The children of the element.
          * @param {({current: HTMLElement} | null)} ref A target reference to the element.
          * @returns {BoundryElement}
@@ -51,6 +51,68 @@
         }
     }
 
+    /**
+     * The event listeners added to each rendered element (so they can be replaced when it is patched).
+     * @type {WeakMap<HTMLElement, {[type: string]: function(Event): void}>}
+     */
+    const elementListeners = new WeakMap();
+
+    /**
+     * The keys of the rendered elements (see patch).
+     * @type {WeakMap<HTMLElement, string>}
+     */
+    const elementKeys = new WeakMap();
+
+    /**
+     * Set the attributes, event listeners (e.g. onClick → click), key and ref of a rendered element.
+     * Attributes and listeners that are not in the element anymore are removed.
+     * @param {HTMLElement} node The rendered element.
+     * @param {BoundryElement} element The element to match.
+     * @returns {void}
+     */
+    const setProperties = (node, element) => {
+        const oldListeners = elementListeners.get(node) || {};
+        /** @type {{[type: string]: function(Event): void}} */
+        const listeners = {};
+        /** @type {string[]} */
+        const names = [];
+
+        for (const [key, value] of Object.entries(element.attributes)) {
+            if (key === 'key') continue;
+            if (typeof value === 'function' && /^on[A-Z]/.test(key)) {
+                listeners[key.slice(2).toLowerCase()] = value;
+                continue;
+            }
+
+            names.push(key.toLowerCase());
+            if (node.getAttribute(key) !== String(value)) {
+                node.setAttribute(key, value);
+            }
+        }
+
+        for (const name of node.getAttributeNames()) {
+            if (!names.includes(name)) node.removeAttribute(name);
+        }
+        for (const [type, listener] of Object.entries(oldListeners)) {
+            if (listeners[type] !== listener) {
+                node.removeEventListener(type, listener);
+            }
+        }
+        for (const [type, listener] of Object.entries(listeners)) {
+            if (oldListeners[type] !== listener) {
+                node.addEventListener(type, listener);
+            }
+        }
+        elementListeners.set(node, listeners);
+
+        if ('key' in element.attributes) {
+            elementKeys.set(node, element.attributes.key);
+        }
+        if (element.ref) {
+            element.ref.current = node;
+        }
+    };
+
     /**
      * Renders a tree of elements to the DOM.
      * @param {(BoundryElement | string | HTMLElement)} element The element to render.
@@ -74,18 +136,9 @@
 
             // If the element is a BoundryElement.
             if (element instanceof BoundryElement) {
-                // Create the element.
+                // Create the element, with its attributes, event listeners and ref.
                 const newElement = document.createElement(element.tagName);
-
-                // If the element has a ref.
-                if (element.ref) {
-                    element.ref.current = newElement;
-                }
-
-                // Set the attributes.
-                for (const [key, value] of Object.entries(element.attributes)) {
-                    newElement.setAttribute(key, value);
-                }
+                setProperties(newElement, element);
 
                 // Append the element to the parent.
                 parent.appendChild(newElement);
@@ -113,6 +166,228 @@
         }
     };
 
+    /**
+     * Update the children of a rendered element to match a new tree, instead of rendering them again.
+     * The elements that are kept (and their focus, typed values and scroll position) are only changed where they differ.
+     * Children with a key attribute (e.g. { key: question.id }) are matched by their key, even when they move,
+     * the other children are matched in order.
+     * @param {HTMLElement} parent The rendered element.
+     * @param {(BoundryElement | string | HTMLElement)[]} children The new children.
+     * @returns {void}
+     */
+    const patch = (parent, children) => {
+        const oldNodes = Array.from(parent.childNodes);
+        /** @type {Map<string, Node>} */
+        const keyedNodes = new Map();
+        /** @type {Node[]} */
+        const unkeyedNodes = [];
+        oldNodes.forEach((node) => {
+            if (elementKeys.has(node))
+                keyedNodes.set(elementKeys.get(node), node);
+            else unkeyedNodes.push(node);
+        });
+
+        /**
+         * Create a new node for a child.
+         * @param {(BoundryElement | string)} child The child.
+         * @returns {Node}
+         */
+        const createNode = (child) => {
+            const fragment = document.createDocumentFragment();
+            render(child, fragment);
+            return fragment.firstChild;
+        };
+
+        // Find (and update) the node for every child.
+        const nodes = children.map((child) => {
+            if (child instanceof HTMLElement) return child;
+
+            const key =
+                child instanceof BoundryElement
+                    ? child.attributes.key
+                    : undefined;
+            const node =
+                key === undefined ? unkeyedNodes.shift() : keyedNodes.get(key);
+            if (key !== undefined) keyedNodes.delete(key);
+
+            if (child instanceof BoundryElement) {
+                if (
+                    !node ||
+                    node.nodeType !== Node.ELEMENT_NODE ||
+                    node.localName !== child.tagName.toLowerCase() ||
+                    elementKeys.get(node) !== key
+                ) {
+                    return createNode(child);
+                }
+                setProperties(node, child);
+                patch(node, child.children);
+                return node;
+            }
+
+            if (!node || node.nodeType !== Node.TEXT_NODE)
+                return createNode(child);
+            if (node.nodeValue !== String(child)) node.nodeValue = child;
+            return node;
+        });
+
+        // Remove the nodes that are not used anymore first, so the kept nodes don't have to move.
+        oldNodes.forEach((node) => {
+            if (!nodes.includes(node)) parent.removeChild(node);
+        });
+        nodes.forEach((node, index) => {
+            const current = parent.childNodes[index];
+            if (current !== node) parent.insertBefore(node, current || null);
+        });
+    };
+
+    /**
+     * A value that can be watched (e.g. the state of a component).
+     * - get: The current value.
+     * - set: Change the value (a function is called with the current value), the subscribers are called with the new value.
+     * - subscribe: Call a function when the value changes. Returns a function to unsubscribe.
+     * @template T
+     * @typedef {{get: function(): T, set: function((T | function(T): T)): void, subscribe: function(function(T): void): function(): void}} State
+     */
+
+    /**
+     * Create a value that can be watched.
+     * @template T
+     * @param {T} initial The first value.
+     * @returns {State<T>}
+     */
+    const createState = (initial) => {
+        let value = initial;
+        /** @type {Set<function(T): void>} */
+        const subscribers = new Set();
+
+        return {
+            get: () => value,
+            set: (next) => {
+                value = typeof next === 'function' ? next(value) : next;
+                subscribers.forEach((subscriber) => subscriber(value));
+            },
+            subscribe: (subscriber) => {
+                subscribers.add(subscriber);
+                return () => subscribers.delete(subscriber);
+            }
+        };
+    };
+
+    /**
+     * Show a state in the children of an element: they are patched when the state changes.
+     * @template T
+     * @param {{current: HTMLElement}} ref A reference to the element (the state is shown once it is rendered).
+     * @param {State<T>} state The state.
+     * @param {function(T): (BoundryElement | string)[]} view The children for a value of the state.
+     * @returns {(BoundryElement | string)[]} The children for the current value (to create the element with).
+     */
+    const bindState = (ref, state, view) => {
+        state.subscribe((value) => {
+            if (ref.current) patch(ref.current, view(value));
+        });
+        return view(state.get());
+    };
+
+    /**
+     * Elements that have no children and no closing tag in HTML.
+     */
+    const voidElements = [
+        'area',
+        'base',
+        'br',
+        'col',
+        'embed',
+        'hr',
+        'img',
+        'input',
+        'link',
+        'meta',
+        'source',
+        'track',
+        'wbr'
+    ];
+
+    /**
+     * Elements with text that is not HTML (it is not escaped).
+     */
+    const rawTextElements = ['script', 'style'];
+
+    /**
+     * Escape text for HTML. Quotes are escaped too, so the text can be used in attribute values.
+     * @param {string} text The text to escape.
+     * @returns {string}
+     */
+    const escapeHtml = (text) =>
+        text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+
+    /**
+     * Renders a tree of elements to an HTML string, without a DOM (e.g. for static worksheets, emails or snapshots).
+     * Text and attribute values are escaped. Event listeners, keys, refs and empty classes are left out.
+     * @param {(BoundryElement | string | HTMLElement)} element The element to render.
+     * @returns {string}
+     */
+    const renderToString = (element) => {
+        // If the element is a BoundryElement.
+        if (element instanceof BoundryElement) {
+            if (!/^[a-z][a-z0-9-]*$/i.test(element.tagName)) {
+                throw new Error('Invalid tag name: ' + element.tagName);
+            }
+
+            const attributes = Object.entries(element.attributes)
+                .filter(
+                    ([key, value]) =>
+                        !(
+                            typeof value === 'function' && /^on[A-Z]/.test(key)
+                        ) &&
+                        !(key === 'class' && value === '') &&
+                        key !== 'key'
+                )
+                .map(([key, value]) => {
+                    if (!/^[^\s"'<>/=]+$/.test(key)) {
+                        throw new Error('Invalid attribute name: ' + key);
+                    }
+                    return ' ' + key + '="' + escapeHtml(String(value)) + '"';
+                })
+                .join('');
+            const tagName = element.tagName.toLowerCase();
+
+            if (voidElements.includes(tagName)) {
+                return '<' + tagName + attributes + '>';
+            }
+
+            const closingTag = '</' + tagName + '>';
+            const children = rawTextElements.includes(tagName)
+                ? element.children.join('')
+                : element.children.map(renderToString).join('');
+            // The text of a raw text element ends at its closing tag, so it can't contain one.
+            if (
+                rawTextElements.includes(tagName) &&
+                children.toLowerCase().includes(closingTag)
+            ) {
+                throw new Error(
+                    'The text of <' + tagName + '> contains ' + closingTag
+                );
+            }
+            return '<' + tagName + attributes + '>' + children + closingTag;
+        }
+
+        // If the element is an HTMLElement (only when there is a DOM).
+        if (
+            typeof HTMLElement !== 'undefined' &&
+            element instanceof HTMLElement
+        ) {
+            return element.outerHTML;
+        }
+
+        // If the element is none of the above, we will force it to be a string.
+        return escapeHtml(String(element));
+    };
+
     /**
      * Create a reference to an element.
      * @returns {{current: HTMLElement}}
@@ -125,7 +400,7 @@
      * Creates a new BoundryElement.
      * @param {string} tagName The tag name of the element.
      * @param {string} className The class name of the element.
-     * @param {{[key: string]: string}} attributes A map of attributes to their values.
+     * @param {{[key: string]: (string | function(Event): void)}} attributes A map of attributes to their values (on* functions are event listeners).
      * @param {(BoundryElement | string | HTMLElement)[]} children The children of the element.
      * @param {{current: HTMLElement} | null} ref A target reference to the element.
      */
@@ -174,13 +449,118 @@
      */
     const randomFromList = (list, seed = Math.random()) =>
         list[getRandomInt(0, list.length - 1, seed)];
+    /**
+     * Creates a seeded pseudo random number generator (mulberry32).
+     * The same seed will always produce the same sequence of numbers.
+     * @param {number} seed A 32-bit unsigned integer seed.
+     * @returns {function(): number} A function that returns a number between 0 (inclusive) and 1 (exclusive).
+     * @see https://github.com/bryc/code/blob/master/jshash/PRNGs.md#mulberry32
+     */
+    const createRandom = (seed) => {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    /**
+     * Generates a new random test seed.
+     * @returns {number} A 32-bit unsigned integer seed.
+     */
+    const generateSeed = () => Math.floor(Math.random() * 4294967296);
+
+    /**
+     * A test that can be shared by URL.
+     * - questionIds: The ids of the questions on the test, or null to pick them with spaced repetition.
+     * - minYear / maxYear: The range of years the quiz date is picked from.
+     * @typedef {{seed: number, questionIds: (string[] | null), minYear: number, maxYear: number}} TestOptions
+     */
+
+    /**
+     * Read a test from a URL hash (e.g. "#seed=1k3b9x&years=1989-2049&questions=month-last,year-this").
+     * Links without a year range use the default range.
+     * @param {string} hash The URL hash.
+     * @returns {TestOptions | null} The test, or null if the hash has no valid seed.
+     */
+    const parseTestHash = (hash) => {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+        const seedValue = params.get('seed');
+        if (!seedValue || !/^[0-9a-z]{1,7}$/i.test(seedValue)) return null;
+        const seed = parseInt(seedValue, 36);
+        if (seed > 0xffffffff) return null;
+
+        const questionsValue = params.get('questions');
+        const questionIds = questionsValue
+            ? questionsValue.split(',').filter((id) => id !== '')
+            : null;
+
+        const yearsMatch = /^(\d{4})-(\d{4})$/.exec(params.get('years') || '');
+        const { minYear, maxYear } = normalizeSettings({
+            minYear: yearsMatch ? Number(yearsMatch[1]) : undefined,
+            maxYear: yearsMatch ? Number(yearsMatch[2]) : undefined
+        });
+
+        return { seed, questionIds, minYear, maxYear };
+    };
+
+    /**
+     * Read the test from the URL hash of the page.
+     * @returns {TestOptions | null} The test, or null if the hash has no valid seed.
+     */
+    const readTestFromHash = () => parseTestHash(window.location.hash);
+
+    /**
+     * Create a URL hash for a test.
+     * @param {TestOptions} test The test to encode.
+     * @returns {string}
+     */
+    const testToHash = (test) =>
+        '#seed=' +
+        test.seed.toString(36) +
+        '&years=' +
+        test.minYear +
+        '-' +
+        test.maxYear +
+        (test.questionIds && test.questionIds.length > 0
+            ? '&questions=' + test.questionIds.join(',')
+            : '');
+
+    /**
+     * Hash a string to a 32-bit unsigned integer (FNV-1a).
+     * @param {string} string The string to hash.
+     * @returns {number}
+     */
+    const hashString = (string) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < string.length; i++) {
+            hash ^= string.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    };
+
+    /**
+     * Get the seed of a question on a test. It only depends on the test seed and the question id,
+     * so a question stays the same no matter which other questions are on the test.
+     * @param {number} seed The test seed.
+     * @param {string} id The question id.
+     * @returns {number} A number between 0 (inclusive) and 1 (exclusive).
+     */
+    const questionSeed = (seed, id) => createRandom(seed ^ hashString(id))();
+
     /**
      * Randomly shuffle an array.
      * @template T
      * @param {T[]} array The array to shuffle.
+     * @param {function(): number} random The random number generator to use. (Optional)
      * @returns {T[]}
      */
-    const shuffle = (array) => {
+    const shuffle = (array, random = Math.random) => {
         const arrayCopy = [...array];
         let currentIndex = arrayCopy.length;
         let randomIndex;
@@ -188,7 +568,7 @@
         // While there remain elements to shuffle...
         while (0 !== currentIndex) {
             // Pick a remaining element...
-            randomIndex = Math.floor(Math.random() * currentIndex);
+            randomIndex = Math.floor(random() * currentIndex);
             currentIndex--;
 
             // And swap it with the current element.
@@ -202,1048 +582,6389 @@
     };
 
     /**
-     * Days in a week.
+     * Kanji for the digits 0 - 9.
      */
-    const daysOfWeek = [
-        { english: 'Sunday', kanji: '日曜日', hiragana: 'にちようび' },
-        { english: 'Monday', kanji: '月曜日', hiragana: 'げつようび' },
-        { english: 'Tuesday', kanji: '火曜日', hiragana: 'かようび' },
-        { english: 'Wednesday', kanji: '水曜日', hiragana: 'すいようび' },
-        { english: 'Thursday', kanji: '木曜日', hiragana: 'もくようび' },
-        { english: 'Friday', kanji: '金曜日', hiragana: 'きんようび' },
-        { english: 'Saturday', kanji: '土曜日', hiragana: 'どようび' }
+    const kanjiDigits = [
+        '零',
+        '一',
+        '二',
+        '三',
+        '四',
+        '五',
+        '六',
+        '七',
+        '八',
+        '九'
     ];
 
     /**
-     * Days in a month.
-     * @type {{english: string, kanji: string, hiragana: string}[]}
-     */
-    const days = [
-        { english: '1st', kanji: '一日', hiragana: 'ついたち' },
-        { english: '2nd', kanji: '二日', hiragana: 'ふつか' },
-        { english: '3rd', kanji: '三日', hiragana: 'みっか' },
-        { english: '4th', kanji: '四日', hiragana: 'よっか' },
-        { english: '5th', kanji: '五日', hiragana: 'いつか' },
-        { english: '6th', kanji: '六日', hiragana: 'むいか' },
-        { english: '7th', kanji: '七日', hiragana: 'なのか' },
-        { english: '8th', kanji: '八日', hiragana: 'ようか' },
-        { english: '9th', kanji: '九日', hiragana: 'ここのか' },
-        { english: '10th', kanji: '十日', hiragana: 'とおか' },
-        { english: '11th', kanji: '十一日', hiragana: 'じゅういちにち' },
-        { english: '12th', kanji: '十二日', hiragana: 'じゅうににち' },
-        { english: '13th', kanji: '十三日', hiragana: 'じゅうさんにち' },
-        { english: '14th', kanji: '十四日', hiragana: 'じゅうよっか' },
-        { english: '15th', kanji: '十五日', hiragana: 'じゅうごにち' },
-        { english: '16th', kanji: '十六日', hiragana: 'じゅうろくにち' },
-        { english: '17th', kanji: '十七日', hiragana: 'じゅうしちにち' },
-        { english: '18th', kanji: '十八日', hiragana: 'じゅうはちにち' },
-        { english: '19th', kanji: '十九日', hiragana: 'じゅうくにち' },
-        { english: '20th', kanji: '二十日', hiragana: 'はつか' },
-        { english: '21st', kanji: '二十一日', hiragana: 'にじゅういちにち' },
-        { english: '22nd', kanji: '二十二日', hiragana: 'にじゅうににち' },
-        { english: '23rd', kanji: '二十三日', hiragana: 'にじゅうさんにち' },
-        { english: '24th', kanji: '二十四日', hiragana: 'にじゅうよっか' },
-        { english: '25th', kanji: '二十五日', hiragana: 'にじゅうごにち' },
-        { english: '26th', kanji: '二十六日', hiragana: 'にじゅうろくにち' },
-        { english: '27th', kanji: '二十七日', hiragana: 'にじゅうしちにち' },
-        { english: '28th', kanji: '二十八日', hiragana: 'にじゅうはちにち' },
-        { english: '29th', kanji: '二十九日', hiragana: 'にじゅうくにち' },
-        { english: '30th', kanji: '三十日', hiragana: 'さんじゅうにち' },
-        { english: '31st', kanji: '三十一日', hiragana: 'さんじゅういちにち' }
+     * Plain readings for the digits 0 - 9.
+     */
+    const hiraganaDigits = [
+        'れい',
+        'いち',
+        'に',
+        'さん',
+        'よん',
+        'ご',
+        'ろく',
+        'なな',
+        'はち',
+        'きゅう'
     ];
 
     /**
-     * Months in a year.
-     * @type {{english: string, kanji: string, hiragana: string}[]}
+     * Units below 万, with the sound changes of their multipliers (e.g. 三百 → さんびゃく).
+     * @type {{value: number, kanji: string, hiragana: string, sounds: {[digit: number]: string}}[]}
      */
-    const months = [
-        { english: 'January', kanji: '一月', hiragana: 'いちがつ' },
-        { english: 'February', kanji: '二月', hiragana: 'にがつ' },
-        { english: 'March', kanji: '三月', hiragana: 'さんがつ' },
-        { english: 'April', kanji: '四月', hiragana: 'しがつ' },
-        { english: 'May', kanji: '五月', hiragana: 'ごがつ' },
-        { english: 'June', kanji: '六月', hiragana: 'ろくがつ' },
-        { english: 'July', kanji: '七月', hiragana: 'しちがつ' },
-        { english: 'August', kanji: '八月', hiragana: 'はちがつ' },
-        { english: 'September', kanji: '九月', hiragana: 'くがつ' },
-        { english: 'October', kanji: '十月', hiragana: 'じゅうがつ' },
-        { english: 'November', kanji: '十一月', hiragana: 'じゅういちがつ' },
-        { english: 'December', kanji: '十二月', hiragana: 'じゅうにがつ' }
+    const smallUnits = [
+        {
+            value: 1000,
+            kanji: '千',
+            hiragana: 'せん',
+            sounds: { 3: 'さんぜん', 8: 'はっせん' }
+        },
+        {
+            value: 100,
+            kanji: '百',
+            hiragana: 'ひゃく',
+            sounds: { 3: 'さんびゃく', 6: 'ろっぴゃく', 8: 'はっぴゃく' }
+        },
+        { value: 10, kanji: '十', hiragana: 'じゅう', sounds: {} }
     ];
 
     /**
-     * Generate answers for years (hard coding for 100 years is not resonable).
-     * @param {number} year The year to generate the answers for.
-     * @returns {{imperialEnglish: string, imperialKanji: string, imperialHiragana: string, westernEnglish: string, westernKanji: string, westernHiragana: string}}
+     * A counter (or unit) that is read after a number.
+     * - exact: Readings for whole numbers that are irregular (e.g. 二十日 → はつか).
+     * - final: Readings of the last part of the number together with the counter (e.g. 十四日 → じゅう + よっか).
+     * - digits: Readings of the last part of the number before the counter (e.g. 四年 → よ + ねん).
+     * - geminate: The last parts that turn into a small っ before the counter (e.g. 一歳 → いっさい).
+     * - handakuten: If the counter starts with a p sound after っ and ん (e.g. 三分 → さんぷん).
+     * @typedef {{kanji: string, hiragana: string, exact?: {[number: number]: string}, final?: {[part: number]: string}, digits?: {[part: number]: string}, geminate?: number[], handakuten?: boolean}} Counter
      */
-    const dynamicYear = (year) => {
-        /**
-         * Convert a number to kanji.
-         * Note: This is not a full implementation, it only goes up to 9999.
-         * @param {number} number The number to convert.
-         * @returns {string}
-         * @see https://en.wikipedia.org/wiki/Japanese_numerals
-         * @see https://www.sljfaq.org/afaq/numbers.html
-         */
-        const toKanji = (number) => {
-            const kanjiSubs = {
-                1: '一',
-                2: '二',
-                3: '三',
-                4: '四',
-                5: '五',
-                6: '六',
-                7: '七',
-                8: '八',
-                9: '九'
-            };
 
-            if (number === 0) return '零';
+    /**
+     * Units of 万 and above (every 4 digits), read like counters.
+     * @type {(Counter & {value: number})[]}
+     */
+    const largeUnits = [
+        {
+            value: 1000000000000,
+            kanji: '兆',
+            hiragana: 'ちょう',
+            geminate: [1, 8, 10, 100]
+        },
+        {
+            value: 100000000,
+            kanji: '億',
+            hiragana: 'おく',
+            exact: { 1000: 'いっせんおく' }
+        },
+        {
+            value: 10000,
+            kanji: '万',
+            hiragana: 'まん',
+            exact: { 1000: 'いっせんまん' }
+        }
+    ];
 
-            // Get components.
-            const thousands = Math.floor(number / 1000);
-            const hundreds = Math.floor((number % 1000) / 100);
-            const tens = Math.floor((number % 100) / 10);
-            const ones = number % 10;
+    /**
+     * Counters used by the questions.
+     * @type {{[name: string]: Counter}}
+     * @see https://www.sljfaq.org/afaq/counters.html
+     */
+    const counters = {
+        day: {
+            kanji: '日',
+            hiragana: 'にち',
+            exact: {
+                1: 'ついたち',
+                2: 'ふつか',
+                3: 'みっか',
+                4: 'よっか',
+                5: 'いつか',
+                6: 'むいか',
+                7: 'なのか',
+                8: 'ようか',
+                9: 'ここのか',
+                10: 'とおか',
+                20: 'はつか'
+            },
+            final: { 4: 'よっか', 7: 'しちにち', 9: 'くにち' }
+        },
+        month: {
+            kanji: '月',
+            hiragana: 'がつ',
+            digits: { 4: 'し', 7: 'しち', 9: 'く' }
+        },
+        year: {
+            kanji: '年',
+            hiragana: 'ねん',
+            digits: { 4: 'よ', 9: 'く' }
+        },
+        years: {
+            kanji: '年間',
+            hiragana: 'ねんかん',
+            digits: { 4: 'よ', 9: 'く' }
+        },
+        months: {
+            kanji: 'か月',
+            hiragana: 'かげつ',
+            geminate: [1, 6, 8, 10, 100]
+        },
+        weeks: {
+            kanji: '週間',
+            hiragana: 'しゅうかん',
+            geminate: [1, 8, 10, 100]
+        },
+        age: {
+            kanji: '歳',
+            hiragana: 'さい',
+            exact: { 20: 'はたち' },
+            geminate: [1, 8, 10, 100]
+        },
+        hour: {
+            kanji: '時',
+            hiragana: 'じ',
+            digits: { 4: 'よ', 7: 'しち', 9: 'く' }
+        },
+        minute: {
+            kanji: '分',
+            hiragana: 'ふん',
+            geminate: [1, 6, 8, 10, 100],
+            handakuten: true
+        }
+    };
 
-            // Convert to kanji.
-            let kanji = '';
+    /**
+     * Convert a number below 万 to kanji (一 is left out before 十, 百 and 千).
+     * @param {number} number The number to convert.
+     * @returns {string}
+     */
+    const smallNumberToKanji = (number) => {
+        let kanji = '';
+        let rest = number;
 
-            if (thousands > 0) {
-                kanji += (thousands === 1 ? '' : kanjiSubs[thousands]) + '千';
+        for (const unit of smallUnits) {
+            const count = Math.floor(rest / unit.value);
+            if (count > 0) {
+                kanji += (count === 1 ? '' : kanjiDigits[count]) + unit.kanji;
             }
+            rest %= unit.value;
+        }
 
-            if (hundreds > 0) {
-                kanji += (hundreds === 1 ? '' : kanjiSubs[hundreds]) + '百';
-            }
+        return kanji + (rest > 0 ? kanjiDigits[rest] : '');
+    };
 
-            if (tens > 0) {
-                kanji += (tens === 1 ? '' : kanjiSubs[tens]) + '十';
-            }
+    /**
+     * Convert a number to kanji (supports 万, 億 and 兆).
+     * @param {number} number The number to convert (a non-negative integer).
+     * @returns {string}
+     * @see https://en.wikipedia.org/wiki/Japanese_numerals
+     */
+    const numberToKanji = (number) => {
+        if (number === 0) return kanjiDigits[0];
 
-            if (ones > 0) {
-                kanji += kanjiSubs[ones];
-            }
+        let kanji = '';
+        let rest = number;
 
-            return kanji;
-        };
+        for (const unit of largeUnits) {
+            const count = Math.floor(rest / unit.value);
+            if (count > 0) kanji += smallNumberToKanji(count) + unit.kanji;
+            rest %= unit.value;
+        }
 
-        /**
-         * Convert a number to hiragana.
-         * Note: This is not a full implementation, it only goes up to 9999.
-         * @param {number} number The number to convert.
-         * @returns {string}
-         * @see https://en.wikipedia.org/wiki/Japanese_numerals
-         * @see https://www.sljfaq.org/afaq/numbers.html
-         */
-        const toHiragana = (number) => {
-            const hiraganaSubs = {
-                1: 'いち',
-                2: 'に',
-                3: 'さん',
-                4: 'よん',
-                5: 'ご',
-                6: 'ろく',
-                7: 'なな',
-                8: 'はち',
-                9: 'きゅう'
-            };
+        return kanji + smallNumberToKanji(rest);
+    };
 
-            if (number === 0) return 'れい';
-
-            // Get components.
-            const thousands = Math.floor(number / 1000);
-            const hundreds = Math.floor((number % 1000) / 100);
-            const tens = Math.floor((number % 100) / 10);
-            const ones = number % 10;
-
-            // Convert to hiragana.
-            let hiragana = '';
-
-            if (thousands > 0) {
-                switch (thousands) {
-                    case 1:
-                        hiragana += 'せん';
-                        break;
-                    case 3:
-                        hiragana += 'さんぜん';
-                        break;
-                    case 8:
-                        hiragana += 'はっせん';
-                        break;
-                    default:
-                        hiragana += hiraganaSubs[thousands] + 'せん';
-                }
-            }
+    /**
+     * Split the reading of a number into parts. The last part is the one counters change.
+     * Each part has its kanji, and the digit (1 - 9) or the unit (10, 100, 1000, 万...) it ends with.
+     * @param {number} number The number to split (a positive integer).
+     * @returns {{kanji: string, hiragana: string, part: number}[]}
+     */
+    const numberReadingParts = (number) => {
+        const parts = [];
+        let rest = number;
 
-            if (hundreds > 0) {
-                switch (hundreds) {
-                    case 1:
-                        hiragana += 'ひゃく';
-                        break;
-                    case 3:
-                        hiragana += 'さんびゃく';
-                        break;
-                    case 6:
-                        hiragana += 'ろっぴゃく';
-                        break;
-                    case 8:
-                        hiragana += 'はっぴゃく';
-                        break;
-                    default:
-                        hiragana += hiraganaSubs[hundreds] + 'ひゃく';
-                }
+        for (const unit of largeUnits) {
+            const count = Math.floor(rest / unit.value);
+            if (count > 0) {
+                const reading = readWithCounter(count, unit);
+                parts.push({
+                    kanji: reading.kanji,
+                    hiragana: reading.hiragana,
+                    part: unit.value
+                });
             }
+            rest %= unit.value;
+        }
 
-            if (tens > 0) {
-                hiragana += (tens === 1 ? '' : hiraganaSubs[tens]) + 'じゅう';
+        for (const unit of smallUnits) {
+            const count = Math.floor(rest / unit.value);
+            if (count > 0) {
+                parts.push({
+                    kanji: (count === 1 ? '' : kanjiDigits[count]) + unit.kanji,
+                    hiragana:
+                        unit.sounds[count] ||
+                        (count === 1 ? '' : hiraganaDigits[count]) +
+                            unit.hiragana,
+                    part: unit.value
+                });
             }
+            rest %= unit.value;
+        }
 
-            if (ones > 0) {
-                hiragana += hiraganaSubs[ones];
-            }
+        if (rest > 0) {
+            parts.push({
+                kanji: kanjiDigits[rest],
+                hiragana: hiraganaDigits[rest],
+                part: rest
+            });
+        }
 
-            return hiragana;
-        };
+        return parts;
+    };
+
+    /**
+     * Turn the end of a reading into a small っ (e.g. いち → いっ, じゅう → じゅっ).
+     * @param {string} hiragana The reading to change.
+     * @returns {string}
+     */
+    const geminate = (hiragana) => {
+        if (hiragana.endsWith('じゅう')) return hiragana.slice(0, -1) + 'っ';
+        if (/[ちく]$/.test(hiragana)) return hiragana.slice(0, -1) + 'っ';
+        return hiragana;
+    };
+
+    /**
+     * Change the first kana of a reading from the h row to the p row (e.g. ふん → ぷん).
+     * @param {string} hiragana The reading to change.
+     * @returns {string}
+     */
+    const toHandakuten = (hiragana) => {
+        const index = 'はひふへほ'.indexOf(hiragana[0]);
+        return index === -1
+            ? hiragana
+            : 'ぱぴぷぺぽ'[index] + hiragana.slice(1);
+    };
+
+    /**
+     * Text split into groups with their readings, used to show furigana (e.g. 月曜日 → 月/げつ 曜/よう 日/び).
+     * The reading is empty for kana and punctuation. Irregular readings (e.g. 二十日 → はつか) are one group.
+     * @typedef {{kanji: string, hiragana: string}[]} Furigana
+     */
+
+    /**
+     * Split the kana at the start and the end of a word from its kanji (e.g. か月 → か + 月/げつ).
+     * @param {string} kanji The word.
+     * @param {string} hiragana The reading of the word.
+     * @returns {Furigana}
+     */
+    const alignKana = (kanji, hiragana) => {
+        if (kanji === '') return [];
+        if (!/[\u3400-\u9fff々]/.test(kanji)) return [{ kanji, hiragana: '' }];
+
+        const leading = kanji.match(/^[\u3041-\u3096]*/)[0];
+        const trailing = kanji
+            .slice(leading.length)
+            .match(/[\u3041-\u3096]*$/)[0];
+        if (
+            !hiragana.startsWith(leading) ||
+            !hiragana.endsWith(trailing) ||
+            hiragana.length <= leading.length + trailing.length
+        ) {
+            return [{ kanji, hiragana }];
+        }
+
+        return [
+            { kanji: leading, hiragana: '' },
+            {
+                kanji: kanji.slice(
+                    leading.length,
+                    kanji.length - trailing.length
+                ),
+                hiragana: hiragana.slice(
+                    leading.length,
+                    hiragana.length - trailing.length
+                )
+            },
+            { kanji: trailing, hiragana: '' }
+        ].filter((group) => group.kanji !== '');
+    };
+
+    /**
+     * Read a number followed by a counter, applying the counter's sound changes.
+     * @param {number} number The number to read (a non-negative integer).
+     * @param {Counter} counter The counter to read the number with.
+     * @returns {{kanji: string, hiragana: string, furigana: Furigana}}
+     */
+    const readWithCounter = (number, counter) => {
+        const kanji = numberToKanji(number) + counter.kanji;
+
+        if (counter.exact && counter.exact[number]) {
+            const hiragana = counter.exact[number];
+            return { kanji, hiragana, furigana: [{ kanji, hiragana }] };
+        }
+        if (number === 0) {
+            return {
+                kanji,
+                hiragana: hiraganaDigits[0] + counter.hiragana,
+                furigana: [
+                    { kanji: kanjiDigits[0], hiragana: hiraganaDigits[0] },
+                    ...alignKana(counter.kanji, counter.hiragana)
+                ]
+            };
+        }
 
-        const standardYearKanji = toKanji(year);
-        const standardYearHiragana = toHiragana(year);
+        const parts = numberReadingParts(number);
+        const last = parts.pop();
+        const prefix = parts.map((part) => part.hiragana).join('');
+        const prefixFurigana = parts.map((part) => ({
+            kanji: part.kanji,
+            hiragana: part.hiragana
+        }));
 
-        const imperialYear = year - 2018;
-        const imperialYearKanji = toKanji(imperialYear);
-        const imperialYearHiragana = toHiragana(imperialYear);
+        // The last digit and the counter are read as one (e.g. 十四日 → 十/じゅう 四日/よっか).
+        if (counter.final && counter.final[last.part]) {
+            return {
+                kanji,
+                hiragana: prefix + counter.final[last.part],
+                furigana: [
+                    ...prefixFurigana,
+                    {
+                        kanji: last.kanji + counter.kanji,
+                        hiragana: counter.final[last.part]
+                    }
+                ]
+            };
+        }
+
+        let lastHiragana =
+            (counter.digits && counter.digits[last.part]) || last.hiragana;
+        let counterHiragana = counter.hiragana;
+
+        if (counter.geminate && counter.geminate.includes(last.part)) {
+            lastHiragana = geminate(lastHiragana);
+        }
+        if (counter.handakuten && /[っん]$/.test(lastHiragana)) {
+            counterHiragana = toHandakuten(counterHiragana);
+        }
 
         return {
-            imperialEnglish: 'Reiwa ' + imperialYear,
-            imperialKanji: '令和' + imperialYearKanji + '年',
-            imperialHiragana: 'れいわ' + imperialYearHiragana + 'ねん',
-            westernEnglish: year.toString(),
-            westernKanji: standardYearKanji + '年',
-            westernHiragana: standardYearHiragana + 'ねん'
+            kanji,
+            hiragana: prefix + lastHiragana + counterHiragana,
+            furigana: [
+                ...prefixFurigana,
+                { kanji: last.kanji, hiragana: lastHiragana },
+                ...alignKana(counter.kanji, counterHiragana)
+            ]
         };
     };
 
     /**
-     * A quick utility to join a list of elements with "→"
-     * @param {string[]} elements The elements to join.
+     * Read a number on its own (without a counter).
+     * @param {number} number The number to read (a non-negative integer).
+     * @returns {{kanji: string, hiragana: string, furigana: Furigana}}
      */
-    const joinWithArrow = (elements) => {
-        return elements.join(' → ');
+    const readNumber = (number) =>
+        readWithCounter(number, { kanji: '', hiragana: '' });
+
+    /**
+     * Get the English ordinal for a number (e.g. 1st, 22nd, 13th).
+     * @param {number} number The number to convert.
+     * @returns {string}
+     */
+    const toOrdinal = (number) => {
+        if (number % 100 >= 11 && number % 100 <= 13) return number + 'th';
+        return number + (['th', 'st', 'nd', 'rd'][number % 10] || 'th');
     };
 
     /**
-     * A list of questions on the test.
-     * @type {({createQuestion: (function(Date, number): BoundryElement[]), answer: (function(Date, number): BoundryElement[])}[])[]}
+     * Days in a week.
      */
-    const questionGenerator = [
-        // 5 - Day of the week.
-        {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['一昨日は何曜日でしたか？'])
-            ],
-            answer: (date, _) => {
-                const day = new Date(date);
-                day.setDate(day.getDate() - 2);
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What day was it the day before yesterday?',
-                            daysOfWeek[day.getDay() % 7].english,
-                            daysOfWeek[day.getDay() % 7].kanji,
-                            daysOfWeek[day.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
-            }
-        },
-        {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['昨日は何曜日でしたか？'])
-            ],
-            answer: (date, _) => {
-                const day = new Date(date);
-                day.setDate(day.getDate() - 1);
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What day was it yesterday?',
-                            daysOfWeek[day.getDay() % 7].english,
-                            daysOfWeek[day.getDay() % 7].kanji,
-                            daysOfWeek[day.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
-            }
+    const daysOfWeek = [
+        { english: 'Sunday', kanji: '日曜日', hiragana: 'にちようび' },
+        { english: 'Monday', kanji: '月曜日', hiragana: 'げつようび' },
+        { english: 'Tuesday', kanji: '火曜日', hiragana: 'かようび' },
+        { english: 'Wednesday', kanji: '水曜日', hiragana: 'すいようび' },
+        { english: 'Thursday', kanji: '木曜日', hiragana: 'もくようび' },
+        { english: 'Friday', kanji: '金曜日', hiragana: 'きんようび' },
+        { english: 'Saturday', kanji: '土曜日', hiragana: 'どようび' }
+    ].map((day) => ({
+        ...day,
+        furigana: [
+            { kanji: day.kanji[0], hiragana: day.hiragana.slice(0, -3) },
+            { kanji: '曜', hiragana: 'よう' },
+            { kanji: '日', hiragana: 'び' }
+        ]
+    }));
+
+    /**
+     * Days in a month.
+     * @type {{english: string, kanji: string, hiragana: string, furigana: Furigana}[]}
+     */
+    const days = Array.from({ length: 31 }, (_, index) => ({
+        english: toOrdinal(index + 1),
+        ...readWithCounter(index + 1, counters.day)
+    }));
+
+    /**
+     * Months in a year.
+     * @type {{english: string, kanji: string, hiragana: string, furigana: Furigana}[]}
+     */
+    const months = [
+        'January',
+        'February',
+        'March',
+        'April',
+        'May',
+        'June',
+        'July',
+        'August',
+        'September',
+        'October',
+        'November',
+        'December'
+    ].map((english, index) => ({
+        english,
+        ...readWithCounter(index + 1, counters.month)
+    }));
+
+    /**
+     * Hours on a 12 hour clock, read after 午前 / 午後 (12 o'clock is 零時, e.g. 午後零時 for noon).
+     * @type {{kanji: string, hiragana: string, furigana: Furigana}[]}
+     */
+    const hours = Array.from({ length: 12 }, (_, index) =>
+        readWithCounter(index, counters.hour)
+    );
+
+    /**
+     * Minutes in an hour (0 is left out when reading a time, e.g. 三時).
+     * @type {{kanji: string, hiragana: string, furigana: Furigana}[]}
+     */
+    const minutes = Array.from({ length: 60 }, (_, index) =>
+        readWithCounter(index, counters.minute)
+    );
+
+    /**
+     * 午前 (a.m.) and 午後 (p.m.).
+     * @type {{english: string, kanji: string, hiragana: string, furigana: Furigana}[]}
+     */
+    const periods = [
+        { english: 'a.m.', kanji: '午前', hiragana: 'ごぜん' },
+        { english: 'p.m.', kanji: '午後', hiragana: 'ごご' }
+    ].map((period) => ({
+        ...period,
+        furigana: [{ kanji: period.kanji, hiragana: period.hiragana }]
+    }));
+
+    /**
+     * Read a number of days (e.g. 二日間 → ふつかかん). The readings are the same as the days of the month,
+     * except 一日間 (いちにちかん, ついたち is only the 1st of the month).
+     * @param {number} number The number of days (1 or more).
+     * @returns {{kanji: string, hiragana: string, furigana: Furigana}}
+     */
+    const readDayCount = (number) => {
+        const day =
+            number === 1
+                ? {
+                      kanji: '一日',
+                      hiragana: 'いちにち',
+                      furigana: [{ kanji: '一日', hiragana: 'いちにち' }]
+                  }
+                : readWithCounter(number, counters.day);
+        return {
+            kanji: day.kanji + '間',
+            hiragana: day.hiragana + 'かん',
+            furigana: [...day.furigana, { kanji: '間', hiragana: 'かん' }]
+        };
+    };
+
+    /**
+     * A unit of the duration questions.
+     * - id: The name of the unit (also used for the vocabulary items, e.g. "duration-days:2").
+     * - english: The English name of the unit (e.g. week).
+     * - max: The longest duration asked for.
+     * - read: The reading of a duration (e.g. 2 → 二日間).
+     * - misread: The reading without the sound changes, a common mistake (e.g. 1 → いちしゅうかん).
+     * @typedef {{id: string, english: string, max: number, read: (function(number): {kanji: string, hiragana: string, furigana: Furigana}), misread: (function(number): string)}} DurationUnit
+     */
+
+    /**
+     * The units of the duration questions (〜日間, 〜週間, 〜か月, 〜年間).
+     * @type {DurationUnit[]}
+     */
+    const durationUnits = [
+        {
+            id: 'days',
+            english: 'day',
+            max: 31,
+            read: readDayCount,
+            misread: (number) =>
+                readWithCounter(number, misreadCounters.day).hiragana + 'かん'
         },
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['今日は何曜日ですか？'])
-            ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What day is it today?',
-                            daysOfWeek[date.getDay() % 7].english,
-                            daysOfWeek[date.getDay() % 7].kanji,
-                            daysOfWeek[date.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'weeks',
+            english: 'week',
+            max: 10,
+            read: (number) => readWithCounter(number, counters.weeks),
+            misread: (number) =>
+                readWithCounter(number, misreadCounters.weeks).hiragana
         },
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['明日は何曜日ですか？'])
-            ],
-            answer: (date, _) => {
-                const day = new Date(date);
-                day.setDate(day.getDate() + 1);
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What day is it tomorrow?',
-                            daysOfWeek[day.getDay() % 7].english,
-                            daysOfWeek[day.getDay() % 7].kanji,
-                            daysOfWeek[day.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'months',
+            english: 'month',
+            max: 12,
+            read: (number) => readWithCounter(number, counters.months),
+            misread: (number) =>
+                readWithCounter(number, misreadCounters.months).hiragana
         },
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['明後日は何曜日ですか？'])
-            ],
-            answer: (date, _) => {
-                const day = new Date(date);
-                day.setDate(day.getDate() + 2);
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What day is it the day after tomorrow?',
-                            daysOfWeek[day.getDay() % 7].english,
-                            daysOfWeek[day.getDay() % 7].kanji,
-                            daysOfWeek[day.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'years',
+            english: 'year',
+            max: 20,
+            read: (number) => readWithCounter(number, counters.years),
+            misread: (number) =>
+                readWithCounter(number, misreadCounters.years).hiragana
+        }
+    ];
+
+    /**
+     * The unit of the questions about the days between two dates.
+     */
+    const daysUnit = durationUnits[0];
+
+    /**
+     * Half past the hour (e.g. 三時半).
+     */
+    const half = {
+        kanji: '半',
+        hiragana: 'はん',
+        furigana: [{ kanji: '半', hiragana: 'はん' }]
+    };
+
+    /**
+     * Japanese eras (明治 to 令和) and the day each one started.
+     * @type {{english: string, kanji: string, hiragana: string, start: Date}[]}
+     * @see https://en.wikipedia.org/wiki/Japanese_era_name
+     */
+    const eras = [
+        {
+            english: 'Meiji',
+            kanji: '明治',
+            hiragana: 'めいじ',
+            start: new Date(1868, 9, 23)
         },
-        // 5 - Date of the month.
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['一昨日は何日でしたか？'])
-            ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What date was it the day before yesterday?',
-                            days[date.getDate() - 3].english,
-                            days[date.getDate() - 3].kanji,
-                            days[date.getDate() - 3].hiragana
-                        ])
-                    ])
-                ];
-            }
+            english: 'Taisho',
+            kanji: '大正',
+            hiragana: 'たいしょう',
+            start: new Date(1912, 6, 30)
         },
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['昨日は何日でしたか？'])
-            ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What date was it yesterday?',
-                            days[date.getDate() - 2].english,
-                            days[date.getDate() - 2].kanji,
-                            days[date.getDate() - 2].hiragana
-                        ])
-                    ])
-                ];
-            }
+            english: 'Showa',
+            kanji: '昭和',
+            hiragana: 'しょうわ',
+            start: new Date(1926, 11, 25)
         },
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['今日は何日ですか？'])
-            ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What date is it today?',
-                            days[date.getDate() - 1].english,
-                            days[date.getDate() - 1].kanji,
-                            days[date.getDate() - 1].hiragana
-                        ])
-                    ])
-                ];
-            }
+            english: 'Heisei',
+            kanji: '平成',
+            hiragana: 'へいせい',
+            start: new Date(1989, 0, 8)
         },
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['明日は何日ですか？'])
+            english: 'Reiwa',
+            kanji: '令和',
+            hiragana: 'れいわ',
+            start: new Date(2019, 4, 1)
+        }
+    ];
+
+    /**
+     * Get the era a date is in.
+     * @param {Date} date The date to get the era for.
+     * @returns {{english: string, kanji: string, hiragana: string, start: Date}}
+     */
+    const getEra = (date) => {
+        for (let i = eras.length - 1; i >= 0; i--) {
+            if (date >= eras[i].start) return eras[i];
+        }
+
+        throw new RangeError(
+            'Dates before the Meiji era are not supported: ' +
+                date.toDateString()
+        );
+    };
+
+    /**
+     * Generate answers for years (hard coding for 100 years is not resonable).
+     * The month and day decide the era when the era changed during the year (e.g. 2019-04-30 is 平成, 2019-05-01 is 令和).
+     * @param {number} year The year to generate the answers for.
+     * @param {number} month The month (0 - 11) used to pick the era. (Optional, defaults to December)
+     * @param {number} day The day of the month used to pick the era. (Optional, defaults to the 31st)
+     * @returns {{era: {english: string, kanji: string, hiragana: string, start: Date}, imperialYear: number, imperialEnglish: string, imperialKanji: string, imperialHiragana: string, imperialFurigana: Furigana, westernEnglish: string, westernKanji: string, westernHiragana: string, westernFurigana: Furigana}}
+     */
+    const dynamicYear = (year, month = 11, day = 31) => {
+        const western = readWithCounter(year, counters.year);
+
+        const era = getEra(new Date(year, month, day));
+        const imperialYear = year - era.start.getFullYear() + 1;
+        // The first year of an era is read as 元年 (がんねん).
+        const imperial =
+            imperialYear === 1
+                ? {
+                      kanji: '元年',
+                      hiragana: 'がんねん',
+                      furigana: [
+                          { kanji: '元', hiragana: 'がん' },
+                          { kanji: '年', hiragana: 'ねん' }
+                      ]
+                  }
+                : readWithCounter(imperialYear, counters.year);
+
+        return {
+            era,
+            imperialYear,
+            imperialEnglish: era.english + ' ' + imperialYear,
+            imperialKanji: era.kanji + imperial.kanji,
+            imperialHiragana: era.hiragana + imperial.hiragana,
+            imperialFurigana: [
+                { kanji: era.kanji, hiragana: era.hiragana },
+                ...imperial.furigana
             ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What date is it tomorrow?',
-                            days[date.getDate()].english,
-                            days[date.getDate()].kanji,
-                            days[date.getDate()].hiragana
-                        ])
-                    ])
-                ];
+            westernEnglish: year.toString(),
+            westernKanji: western.kanji,
+            westernHiragana: western.hiragana,
+            westernFurigana: western.furigana
+        };
+    };
+
+    /**
+     * A quick utility to join a list of elements with "→"
+     * @param {(BoundryElement | string)[]} elements The elements to join.
+     * @returns {(BoundryElement | string)[]}
+     */
+    const joinWithArrow = (elements) => {
+        return elements.flatMap((element, index) =>
+            index === 0 ? [element] : [' → ', element]
+        );
+    };
+
+    /**
+     * Romaji (modified Hepburn) for each kana. Small ゃ, ゅ and ょ are combined with the kana before them.
+     */
+    const romajiTable = {
+        ...Object.fromEntries(
+            [
+                ['あいうえお', ''],
+                ['ぁぃぅぇぉ', ''],
+                ['かきくけこ', 'k'],
+                ['がぎぐげご', 'g'],
+                ['さしすせそ', 's'],
+                ['ざじずぜぞ', 'z'],
+                ['たちつてと', 't'],
+                ['だぢづでど', 'd'],
+                ['なにぬねの', 'n'],
+                ['はひふへほ', 'h'],
+                ['ばびぶべぼ', 'b'],
+                ['ぱぴぷぺぽ', 'p'],
+                ['まみむめも', 'm'],
+                ['らりるれろ', 'r']
+            ].flatMap(([row, consonant]) =>
+                [...row].map((kana, index) => [
+                    kana,
+                    consonant + 'aiueo'[index]
+                ])
+            )
+        ),
+        し: 'shi',
+        ち: 'chi',
+        つ: 'tsu',
+        ふ: 'fu',
+        じ: 'ji',
+        ぢ: 'ji',
+        づ: 'zu',
+        や: 'ya',
+        ゆ: 'yu',
+        よ: 'yo',
+        ゃ: 'ya',
+        ゅ: 'yu',
+        ょ: 'yo',
+        わ: 'wa',
+        を: 'o',
+        ゔ: 'vu'
+    };
+
+    /**
+     * Vowels with a macron, used for long vowels.
+     */
+    const macrons = { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' };
+
+    /**
+     * Kana vowel pairs that are written as one long vowel (いい and えい are written out, e.g. せい → sei).
+     */
+    const longVowels = { aa: 'ā', uu: 'ū', ee: 'ē', oo: 'ō', ou: 'ō' };
+
+    /**
+     * Convert kana to romaji (modified Hepburn), e.g. じゅうよっか → jūyokka, しんおおさか → shin'ōsaka.
+     * - Long vowels get a macron (おう, おお → ō, うう → ū), ー lengthens the vowel before it.
+     * - っ doubles the next consonant (っち → tchi).
+     * - ん is written as n' before a vowel or y.
+     * Characters that are not kana are kept as they are.
+     * @param {string} kana The kana to convert (hiragana or katakana).
+     * @returns {string}
+     */
+    const toRomaji = (kana) => {
+        const hiragana = kana.replace(/[ァ-ヶ]/g, (char) =>
+            String.fromCharCode(char.charCodeAt(0) - 0x60)
+        );
+
+        /**
+         * The syllables, with the kana they came from.
+         * @type {{kana: string, romaji: string}[]}
+         */
+        const syllables = [];
+        for (let i = 0; i < hiragana.length; i++) {
+            const char = hiragana[i];
+            const next = hiragana[i + 1];
+
+            if (romajiTable[char] && /[ゃゅょ]/.test(next || '')) {
+                const stem = romajiTable[char].slice(0, -1);
+                const vowel = romajiTable[next].slice(1);
+                syllables.push({
+                    kana: char + next,
+                    romaji: /(sh|ch|j)$/.test(stem)
+                        ? stem + vowel
+                        : stem + 'y' + vowel
+                });
+                i++;
+            } else {
+                syllables.push({
+                    kana: char,
+                    romaji: romajiTable[char] || char
+                });
+            }
+        }
+
+        let romaji = '';
+        for (let i = 0; i < syllables.length; i++) {
+            const { kana, romaji: syllable } = syllables[i];
+            const next = syllables[i + 1];
+
+            if (kana === 'っ') {
+                // A っ at the end (or before a vowel) is a glottal stop, which Hepburn does not write.
+                if (next && /^[^aiueo]/.test(next.romaji)) {
+                    romaji += next.romaji.startsWith('ch')
+                        ? 't'
+                        : next.romaji[0];
+                }
+            } else if (kana === 'ん') {
+                romaji += next && /^[aiueoy]/.test(next.romaji) ? "n'" : 'n';
+            } else if (kana === 'ー') {
+                const last = romaji.slice(-1);
+                romaji = romaji.slice(0, -1) + (macrons[last] || last);
+            } else if (
+                next &&
+                /^[あいうえお]$/.test(next.kana) &&
+                longVowels[syllable.slice(-1) + next.romaji]
+            ) {
+                romaji +=
+                    syllable.slice(0, -1) +
+                    longVowels[syllable.slice(-1) + next.romaji];
+                i++;
+            } else {
+                romaji += syllable;
+            }
+        }
+
+        return romaji;
+    };
+
+    /**
+     * Readings of the words used in the questions, for furigana on the questions.
+     */
+    const questionWords = {
+        一昨日: 'おととい',
+        昨日: 'きのう',
+        今日: 'きょう',
+        明日: 'あした',
+        明後日: 'あさって',
+        先月: 'せんげつ',
+        今月: 'こんげつ',
+        来月: 'らいげつ',
+        去年: 'きょねん',
+        今年: 'ことし',
+        来年: 'らいねん',
+        何曜日: 'なんようび',
+        何日: 'なんにち',
+        何月: 'なんがつ',
+        何年: 'なんねん',
+        日本語: 'にほんご',
+        読み方: 'よみかた',
+        和暦: 'われき',
+        西暦: 'せいれき',
+        何日間: 'なんにちかん',
+        今: 'いま',
+        何時: 'なんじ',
+        何分: 'なんぷん'
+    };
+
+    /**
+     * Add the readings of the known question words to a text (the longest word wins).
+     * @param {string} text The text to annotate.
+     * @returns {Furigana}
+     */
+    const annotate = (text) => {
+        const words = Object.keys(questionWords).sort(
+            (a, b) => b.length - a.length
+        );
+        /** @type {Furigana} */
+        const furigana = [];
+        let plain = '';
+
+        for (let i = 0; i < text.length;) {
+            const word = words.find((word) => text.startsWith(word, i));
+            if (!word) {
+                plain += text[i];
+                i++;
+                continue;
             }
+
+            if (plain !== '') furigana.push({ kanji: plain, hiragana: '' });
+            plain = '';
+            furigana.push({ kanji: word, hiragana: questionWords[word] });
+            i += word.length;
+        }
+
+        if (plain !== '') furigana.push({ kanji: plain, hiragana: '' });
+        return furigana;
+    };
+
+    /**
+     * Get the reading of a text with furigana in kana (e.g. 十四日 → じゅうよっか).
+     * @param {Furigana} furigana The text and its readings.
+     * @returns {string}
+     */
+    const furiganaReading = (furigana) =>
+        furigana.map((group) => group.hiragana || group.kanji).join('');
+
+    /**
+     * Text with furigana (<ruby> markup). The readings can be hidden with the furigana toggle.
+     * The reading is kept in data-reading, so it can be read aloud.
+     * @param {Furigana} furigana The text and its readings.
+     * @param {string} className Extra classes of the element. (Optional)
+     * @returns {BoundryElement}
+     */
+    const Ruby = (furigana, className = '') =>
+        h(
+            'span',
+            className ? 'furigana ' + className : 'furigana',
+            { 'data-reading': furiganaReading(furigana) },
+            furigana.map((group) =>
+                group.hiragana
+                    ? h('ruby', '', {}, [
+                          group.kanji,
+                          h('rp', '', {}, ['(']),
+                          h('rt', '', {}, [group.hiragana]),
+                          h('rp', '', {}, [')'])
+                      ])
+                    : group.kanji
+            )
+        );
+
+    /**
+     * A word in an answer: the word with furigana, and its romaji on the line below.
+     * The romaji is only shown when it is turned on.
+     * @param {Furigana} furigana The word and its readings.
+     * @returns {BoundryElement}
+     */
+    const Reading = (furigana) =>
+        h('span', 'reading', {}, [
+            Ruby(furigana),
+            h('span', 'romaji', {}, [toRomaji(furiganaReading(furigana))])
+        ]);
+
+    /**
+     * The text of a question. Plain strings are annotated with the known question words.
+     * The readings are only shown when furigana on the questions is turned on.
+     * @param {...(string | Furigana)} parts The parts of the question.
+     * @returns {BoundryElement}
+     */
+    const Prompt = (...parts) =>
+        Ruby(
+            parts.flatMap((part) =>
+                typeof part === 'string' ? annotate(part) : part
+            ),
+            'furigana--prompt'
+        );
+
+    /**
+     * Add a number of days to a date (handles month and year boundaries).
+     * @param {Date} date The date to start from.
+     * @param {number} amount The number of days to add (can be negative).
+     * @returns {Date}
+     */
+    const addDays = (date, amount) =>
+        new Date(date.getFullYear(), date.getMonth(), date.getDate() + amount);
+
+    /**
+     * Add a number of months to a date. The result is always the 1st of the month,
+     * so short months (e.g. the 31st + 1 month) can not overflow.
+     * @param {Date} date The date to start from.
+     * @param {number} amount The number of months to add (can be negative).
+     * @returns {Date}
+     */
+    const addMonths = (date, amount) =>
+        new Date(date.getFullYear(), date.getMonth() + amount, 1);
+
+    /**
+     * Get the days (Sunday to Saturday) of a week relative to the week of a date.
+     * @param {Date} date The date to start from.
+     * @param {number} weekOffset The number of weeks to move (e.g. -1 for last week).
+     * @returns {Date[]}
+     */
+    const getWeekDays = (date, weekOffset) => {
+        const sunday = addDays(date, weekOffset * 7 - date.getDay());
+        return [0, 1, 2, 3, 4, 5, 6].map((day) => addDays(sunday, day));
+    };
+
+    /**
+     * A public holiday (祝日) on a day.
+     * @typedef {{id: string, english: string, kanji: string, furigana: Furigana, date: Date}} Holiday
+     */
+
+    /**
+     * The names of the public holidays (the words split for the furigana).
+     * @type {{[id: string]: {english: string, words: string[][]}}}
+     * @see https://www8.cao.go.jp/chosei/shukujitsu/gaiyou.html
+     */
+    const holidayNames = {
+        'new-years-day': {
+            english: "New Year's Day",
+            words: [['元日', 'がんじつ']]
+        },
+        'coming-of-age-day': {
+            english: 'Coming of Age Day',
+            words: [['成人', 'せいじん'], ['の'], ['日', 'ひ']]
+        },
+        'national-foundation-day': {
+            english: 'National Foundation Day',
+            words: [['建国記念', 'けんこくきねん'], ['の'], ['日', 'ひ']]
+        },
+        'emperors-birthday': {
+            english: "The Emperor's Birthday",
+            words: [['天皇誕生日', 'てんのうたんじょうび']]
+        },
+        'vernal-equinox-day': {
+            english: 'Vernal Equinox Day',
+            words: [['春分', 'しゅんぶん'], ['の'], ['日', 'ひ']]
+        },
+        'showa-day': {
+            english: 'Showa Day',
+            words: [['昭和', 'しょうわ'], ['の'], ['日', 'ひ']]
+        },
+        'greenery-day': {
+            english: 'Greenery Day',
+            words: [['みどりの'], ['日', 'ひ']]
+        },
+        'constitution-memorial-day': {
+            english: 'Constitution Memorial Day',
+            words: [['憲法記念日', 'けんぽうきねんび']]
+        },
+        'childrens-day': {
+            english: "Children's Day",
+            words: [['こどもの'], ['日', 'ひ']]
+        },
+        'marine-day': {
+            english: 'Marine Day',
+            words: [['海', 'うみ'], ['の'], ['日', 'ひ']]
+        },
+        'mountain-day': {
+            english: 'Mountain Day',
+            words: [['山', 'やま'], ['の'], ['日', 'ひ']]
+        },
+        'respect-for-the-aged-day': {
+            english: 'Respect for the Aged Day',
+            words: [['敬老', 'けいろう'], ['の'], ['日', 'ひ']]
+        },
+        'autumnal-equinox-day': {
+            english: 'Autumnal Equinox Day',
+            words: [['秋分', 'しゅうぶん'], ['の'], ['日', 'ひ']]
         },
+        'health-and-sports-day': {
+            english: 'Health and Sports Day',
+            words: [['体育', 'たいいく'], ['の'], ['日', 'ひ']]
+        },
+        'sports-day': {
+            english: 'Sports Day',
+            words: [['スポーツの'], ['日', 'ひ']]
+        },
+        'culture-day': {
+            english: 'Culture Day',
+            words: [['文化', 'ぶんか'], ['の'], ['日', 'ひ']]
+        },
+        'labour-thanksgiving-day': {
+            english: 'Labour Thanksgiving Day',
+            words: [['勤労感謝', 'きんろうかんしゃ'], ['の'], ['日', 'ひ']]
+        },
+        'substitute-holiday': {
+            english: 'Substitute Holiday',
+            words: [['振替休日', 'ふりかえきゅうじつ']]
+        },
+        'citizens-holiday': {
+            english: "Citizens' Holiday",
+            words: [['国民', 'こくみん'], ['の'], ['休日', 'きゅうじつ']]
+        },
+        'imperial-wedding': {
+            english: 'Imperial Wedding',
+            words: [['結婚', 'けっこん'], ['の'], ['儀', 'ぎ']]
+        },
+        'imperial-funeral': {
+            english: 'Imperial Funeral',
+            words: [['大喪', 'たいそう'], ['の'], ['礼', 'れい']]
+        },
+        'enthronement-ceremony': {
+            english: 'Enthronement Ceremony',
+            words: [['即位礼正殿', 'そくいれいせいでん'], ['の'], ['儀', 'ぎ']]
+        },
+        'enthronement-day': {
+            english: 'Enthronement Day',
+            words: [['即位', 'そくい'], ['の'], ['日', 'ひ']]
+        }
+    };
+
+    /**
+     * Get the nth Monday of a month (for the Happy Monday holidays).
+     * @param {number} year The year.
+     * @param {number} month The month (0 - 11).
+     * @param {number} nth The Monday to get (1 for the first).
+     * @returns {Date}
+     */
+    const nthMonday = (year, month, nth) => {
+        const first = new Date(year, month, 1);
+        return addDays(first, ((8 - first.getDay()) % 7) + (nth - 1) * 7);
+    };
+
+    /**
+     * Get the day of the vernal (March) or autumnal (September) equinox, with the formula used for the
+     * official calendar (1900 - 2150). The days are announced a year before, but have always matched it.
+     * @param {number} year The year.
+     * @param {boolean} isAutumnal If the autumnal equinox is wanted.
+     * @returns {number} The day of the month.
+     */
+    const equinoxDay = (year, isAutumnal) => {
+        let base = isAutumnal ? 23.2488 : 20.8431;
+        if (year < 1980) base = isAutumnal ? 23.2588 : 20.8357;
+        else if (year >= 2100) base = isAutumnal ? 24.2488 : 21.851;
+        const leapDays =
+            year < 1980
+                ? Math.trunc((year - 1983) / 4)
+                : Math.trunc((year - 1980) / 4);
+        return Math.floor(base + 0.242194 * (year - 1980) - leapDays);
+    };
+
+    /**
+     * The public holidays of the holiday law (国民の祝日に関する法律, from July 1948) and its changes.
+     * - from / to: The first and last year of the holiday (inclusive).
+     * - day: The day of the holiday in a year (null when there was none that year).
+     * @type {{id: string, from: number, to?: number, day: (function(number): (Date | null))}[]}
+     */
+    const holidayRules = [
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['明後日は何日ですか？'])
-            ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What date is it the day after tomorrow?',
-                            days[date.getDate() + 1].english,
-                            days[date.getDate() + 1].kanji,
-                            days[date.getDate() + 1].hiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'new-years-day',
+            from: 1949,
+            day: (year) => new Date(year, 0, 1)
         },
-        // 3 - Month of the year.
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['先月は何月でしたか？'])
-            ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What month was it last month?',
-                            months[Math.max(date.getMonth() - 1, 0)].english,
-                            months[Math.max(date.getMonth() - 1, 0)].kanji,
-                            months[Math.max(date.getMonth() - 1, 0)].hiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'coming-of-age-day',
+            from: 1949,
+            day: (year) =>
+                year < 2000 ? new Date(year, 0, 15) : nthMonday(year, 0, 2)
         },
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['今月は何月ですか？'])
-            ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What month is it this month?',
-                            months[date.getMonth()].english,
-                            months[date.getMonth()].kanji,
-                            months[date.getMonth()].hiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'national-foundation-day',
+            from: 1967,
+            day: (year) => new Date(year, 1, 11)
         },
         {
-            createQuestion: (_0, _1) => [
-                h('span', '', {}, ['来月は何月ですか？'])
-            ],
-            answer: (date, _) => {
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What month is it next month?',
-                            months[Math.min(date.getMonth() + 1, 12)].english,
-                            months[Math.min(date.getMonth() + 1, 12)].kanji,
-                            months[Math.min(date.getMonth() + 1, 12)].hiragana
-                        ])
-                    ])
-                ];
+            id: 'emperors-birthday',
+            from: 1949,
+            day: (year) => {
+                if (year <= 1988) return new Date(year, 3, 29);
+                if (year <= 2018) return new Date(year, 11, 23);
+                // The emperor changed in May 2019, after the new birthday had passed.
+                if (year === 2019) return null;
+                return new Date(year, 1, 23);
             }
         },
-        // 3 - Years
         {
-            createQuestion: (_0, seed) => [
-                h('span', '', {}, ['去年は何年でしたか？'])
-            ],
-            answer: (date, seed) => {
-                const year = new Date(date).getFullYear();
-                const answers = dynamicYear(year - 1);
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What year was it last year?',
-                            answers.westernEnglish + ' - 2019 + 1',
-                            answers.imperialEnglish,
-                            answers.imperialKanji,
-                            answers.imperialHiragana
-                        ])
-                    ]),
-                    h('span', 'question--answer-or', {}, ['OR']),
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            answers.westernEnglish,
-                            answers.westernKanji,
-                            answers.westernHiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'vernal-equinox-day',
+            from: 1949,
+            day: (year) => new Date(year, 2, equinoxDay(year, false))
         },
         {
-            createQuestion: (_0, seed) => [
-                h('span', '', {}, ['今年は何年ですか？'])
-            ],
-            answer: (date, seed) => {
-                const year = new Date(date).getFullYear();
-                const answers = dynamicYear(year);
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What year is it this year?',
-                            answers.westernEnglish + ' - 2019 + 1',
-                            answers.imperialEnglish,
-                            answers.imperialKanji,
-                            answers.imperialHiragana
-                        ])
-                    ]),
-                    h('span', 'question--answer-or', {}, ['OR']),
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            answers.westernEnglish,
-                            answers.westernKanji,
-                            answers.westernHiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'showa-day',
+            from: 2007,
+            day: (year) => new Date(year, 3, 29)
         },
         {
-            createQuestion: (_0, seed) => [
-                h('span', '', {}, ['来年は何年ですか？'])
-            ],
-            answer: (date, seed) => {
-                const year = new Date(date).getFullYear();
-                const answers = dynamicYear(year + 1);
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What year is it next year?',
-                            answers.westernEnglish + ' - 2019 + 1',
-                            answers.imperialEnglish,
-                            answers.imperialKanji,
-                            answers.imperialHiragana
-                        ])
-                    ]),
-                    h('span', 'question--answer-or', {}, ['OR']),
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            answers.westernEnglish,
-                            answers.westernKanji,
-                            answers.westernHiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'greenery-day',
+            from: 1989,
+            day: (year) =>
+                year < 2007 ? new Date(year, 3, 29) : new Date(year, 4, 4)
         },
-        // 3 - Days of week relative to the current week -> date
         {
-            createQuestion: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex - 1].filter((e) => e),
-                    seed
-                );
-                return [
-                    h('span', '', {}, [
-                        '先週の' +
-                            daysOfWeek[targetDay.getDay() % 7].kanji +
-                            'は何日でしたか？'
-                    ])
-                ];
-            },
-            answer: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex - 1].filter((e) => e),
-                    seed
-                );
-
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            "What date was last week's " +
-                                daysOfWeek[targetDay.getDay() % 7].english +
-                                '?',
-                            daysOfWeek[targetDay.getDay() % 7].english,
-                            daysOfWeek[targetDay.getDay() % 7].kanji,
-                            daysOfWeek[targetDay.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'constitution-memorial-day',
+            from: 1949,
+            day: (year) => new Date(year, 4, 3)
         },
         {
-            createQuestion: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex].filter((e) => e),
-                    seed
-                );
-                return [
-                    h('span', '', {}, [
-                        '今週の' +
-                            daysOfWeek[targetDay.getDay() % 7].kanji +
-                            'は何日' +
-                            (targetDay < date ? 'でしたか？' : 'ですか？')
-                    ])
-                ];
-            },
-            answer: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex].filter((e) => e),
-                    seed
-                );
-
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What date ' +
-                                (targetDay < date ? 'was' : 'is') +
-                                " this week's " +
-                                daysOfWeek[targetDay.getDay() % 7].english +
-                                '?',
-                            daysOfWeek[targetDay.getDay() % 7].english,
-                            daysOfWeek[targetDay.getDay() % 7].kanji,
-                            daysOfWeek[targetDay.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
-            }
+            id: 'childrens-day',
+            from: 1949,
+            day: (year) => new Date(year, 4, 5)
         },
         {
-            createQuestion: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex + 1].filter((e) => e),
-                    seed
-                );
-                return [
-                    h('span', '', {}, [
-                        '来週の' +
-                            daysOfWeek[targetDay.getDay() % 7].kanji +
-                            'は何日ですか？'
-                    ])
-                ];
-            },
-            answer: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex + 1].filter((e) => e),
-                    seed
-                );
-
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            "What date is next week's " +
-                                daysOfWeek[targetDay.getDay() % 7].english +
-                                '?',
-                            daysOfWeek[targetDay.getDay() % 7].english,
-                            daysOfWeek[targetDay.getDay() % 7].kanji,
-                            daysOfWeek[targetDay.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
+            id: 'marine-day',
+            from: 1996,
+            day: (year) => {
+                if (year < 2003) return new Date(year, 6, 20);
+                // Moved for the Tokyo Olympics.
+                if (year === 2020) return new Date(year, 6, 23);
+                if (year === 2021) return new Date(year, 6, 22);
+                return nthMonday(year, 6, 3);
             }
         },
-        // 3 - Date -> Day of week
         {
-            createQuestion: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex - 1].filter((e) => e),
-                    seed
-                );
-                return [
-                    h('span', '', {}, [
-                        '先週の' +
-                            days[targetDay.getDate() - 1].kanji +
-                            'は何曜日でしたか？'
-                    ])
-                ];
-            },
-            answer: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex - 1].filter((e) => e),
-                    seed
-                );
-
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            "What day was last week's " +
-                                days[targetDay.getDate() - 1].english +
-                                '?',
-                            daysOfWeek[targetDay.getDay() % 7].english,
-                            daysOfWeek[targetDay.getDay() % 7].kanji,
-                            daysOfWeek[targetDay.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
+            id: 'mountain-day',
+            from: 2016,
+            day: (year) => {
+                // Moved for the Tokyo Olympics.
+                if (year === 2020) return new Date(year, 7, 10);
+                if (year === 2021) return new Date(year, 7, 8);
+                return new Date(year, 7, 11);
             }
         },
         {
-            createQuestion: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex].filter((e) => e),
-                    seed
-                );
-                return [
-                    h('span', '', {}, [
-                        '今週の' +
-                            days[targetDay.getDate() - 1].kanji +
-                            'は何曜日' +
-                            (targetDay < date ? 'でしたか？' : 'ですか？')
-                    ])
-                ];
-            },
-            answer: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex].filter((e) => e),
-                    seed
-                );
-
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            'What day ' +
-                                (targetDay < date ? 'was' : 'is') +
-                                " this week's " +
-                                days[targetDay.getDate() - 1].english +
-                                '?',
-                            daysOfWeek[targetDay.getDay() % 7].english,
-                            daysOfWeek[targetDay.getDay() % 7].kanji,
-                            daysOfWeek[targetDay.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
+            id: 'respect-for-the-aged-day',
+            from: 1966,
+            day: (year) =>
+                year < 2003 ? new Date(year, 8, 15) : nthMonday(year, 8, 3)
+        },
+        {
+            id: 'autumnal-equinox-day',
+            from: 1948,
+            day: (year) => new Date(year, 8, equinoxDay(year, true))
+        },
+        {
+            id: 'health-and-sports-day',
+            from: 1966,
+            to: 2019,
+            day: (year) =>
+                year < 2000 ? new Date(year, 9, 10) : nthMonday(year, 9, 2)
+        },
+        {
+            id: 'sports-day',
+            from: 2020,
+            day: (year) => {
+                // Moved for the Tokyo Olympics.
+                if (year === 2020) return new Date(year, 6, 24);
+                if (year === 2021) return new Date(year, 6, 23);
+                return nthMonday(year, 9, 2);
             }
         },
         {
-            createQuestion: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex + 1].filter((e) => e),
-                    seed
-                );
-                return [
-                    h('span', '', {}, [
-                        '来週の' +
-                            days[targetDay.getDate() - 1].kanji +
-                            'は何曜日ですか？'
+            id: 'culture-day',
+            from: 1948,
+            day: (year) => new Date(year, 10, 3)
+        },
+        {
+            id: 'labour-thanksgiving-day',
+            from: 1948,
+            day: (year) => new Date(year, 10, 23)
+        }
+    ];
+
+    /**
+     * Holidays that were only held once (imperial weddings, funerals and enthronements).
+     * @type {{id: string, date: Date}[]}
+     */
+    const onceHolidays = [
+        { id: 'imperial-wedding', date: new Date(1959, 3, 10) },
+        { id: 'imperial-funeral', date: new Date(1989, 1, 24) },
+        { id: 'enthronement-ceremony', date: new Date(1990, 10, 12) },
+        { id: 'imperial-wedding', date: new Date(1993, 5, 9) },
+        { id: 'enthronement-day', date: new Date(2019, 4, 1) },
+        { id: 'enthronement-ceremony', date: new Date(2019, 9, 22) }
+    ];
+
+    /**
+     * Create a holiday on a day.
+     * @param {string} id The id of the holiday (see holidayNames).
+     * @param {Date} date The day of the holiday.
+     * @returns {Holiday}
+     */
+    const createHoliday = (id, date) => {
+        const { english, words } = holidayNames[id];
+        /** @type {Furigana} */
+        const furigana = words.map(([kanji, hiragana = '']) => ({
+            kanji,
+            hiragana
+        }));
+        return {
+            id,
+            english,
+            kanji: furigana.map((group) => group.kanji).join(''),
+            furigana,
+            date
+        };
+    };
+
+    /**
+     * Get the public holidays of a year, computed from the holiday law (no network needed), in order.
+     * Besides the holidays themselves, this adds the substitute holidays (振替休日, from April 1973: a holiday on a Sunday
+     * moves to the next day that is not a holiday) and the citizens' holidays (国民の休日, from 1986: a day between two holidays).
+     * Years before the holiday law (1948) have none.
+     * @param {number} year The year.
+     * @returns {Holiday[]}
+     */
+    const getHolidays = (year) => {
+        const holidays = [
+            ...holidayRules
+                .filter(
+                    (rule) => year >= rule.from && year <= (rule.to || year)
+                )
+                .map((rule) => ({ id: rule.id, date: rule.day(year) }))
+                .filter((holiday) => holiday.date !== null),
+            ...onceHolidays.filter(
+                (holiday) => holiday.date.getFullYear() === year
+            )
+        ].map((holiday) => createHoliday(holiday.id, holiday.date));
+
+        /** @type {Set<string>} */
+        const taken = new Set(holidays.map((holiday) => dateKey(holiday.date)));
+        /** @type {Holiday[]} */
+        const extra = [];
+
+        // Substitute holidays (until 2006 only on the Monday, if it is not a holiday itself).
+        const substituteStart = new Date(1973, 3, 12);
+        for (const holiday of holidays) {
+            if (holiday.date.getDay() !== 0 || holiday.date < substituteStart) {
+                continue;
+            }
+
+            let day = addDays(holiday.date, 1);
+            while (year >= 2007 && taken.has(dateKey(day))) {
+                day = addDays(day, 1);
+            }
+            if (taken.has(dateKey(day))) continue;
+
+            taken.add(dateKey(day));
+            extra.push(createHoliday('substitute-holiday', day));
+        }
+
+        // Citizens' holidays (until 2006 not on Sundays).
+        if (year >= 1986) {
+            for (const holiday of holidays) {
+                const day = addDays(holiday.date, 1);
+                if (
+                    taken.has(dateKey(day)) ||
+                    !holidays.some(
+                        (other) =>
+                            dateKey(other.date) === dateKey(addDays(day, 1))
+                    ) ||
+                    (year < 2007 && day.getDay() === 0)
+                ) {
+                    continue;
+                }
+
+                taken.add(dateKey(day));
+                extra.push(createHoliday('citizens-holiday', day));
+            }
+        }
+
+        return [...holidays, ...extra].sort((a, b) => a.date - b.date);
+    };
+
+    /**
+     * Get the public holiday on a day.
+     * @param {Date} day The day.
+     * @returns {Holiday | null}
+     */
+    const getHoliday = (day) =>
+        getHolidays(day.getFullYear()).find(
+            (holiday) => dateKey(holiday.date) === dateKey(day)
+        ) || null;
+
+    /**
+     * Get the answer for a date, including the month when it is not the same as the reference month.
+     * @param {Date} target The date to get the answer for.
+     * @param {Date} reference The date the question is relative to.
+     * @returns {{english: string, kanji: string, hiragana: string, furigana: Furigana}}
+     */
+    const dateAnswer = (target, reference) => {
+        const day = days[target.getDate() - 1];
+        if (target.getMonth() === reference.getMonth()) return day;
+
+        const month = months[target.getMonth()];
+        return {
+            english: month.english + ' ' + day.english,
+            kanji: month.kanji + day.kanji,
+            hiragana: month.hiragana + day.hiragana,
+            furigana: [...month.furigana, ...day.furigana]
+        };
+    };
+
+    /**
+     * Get the accepted answers for a date (with or without the month).
+     * @param {Date} target The date to get the answers for.
+     * @returns {string[]}
+     */
+    const acceptedDateAnswers = (target) => {
+        const day = days[target.getDate() - 1];
+        const month = months[target.getMonth()];
+        return [
+            day.kanji,
+            day.hiragana,
+            month.kanji + day.kanji,
+            month.hiragana + day.hiragana
+        ];
+    };
+
+    /**
+     * Read a time of day with 午前 / 午後 (e.g. 14:30 → 午後二時半).
+     * @param {number} hour The hour (0 - 23).
+     * @param {number} minute The minute (0 - 59).
+     * @returns {{english: string, kanji: string, hiragana: string, furigana: Furigana}}
+     */
+    const readTime = (hour, minute) => {
+        const period = periods[hour < 12 ? 0 : 1];
+        const parts = [period, hours[hour % 12]];
+        if (minute === 30) parts.push(half);
+        else if (minute !== 0) parts.push(minutes[minute]);
+
+        return {
+            english:
+                (hour % 12 || 12) +
+                ':' +
+                minute.toString().padStart(2, '0') +
+                ' ' +
+                period.english,
+            kanji: parts.map((part) => part.kanji).join(''),
+            hiragana: parts.map((part) => part.hiragana).join(''),
+            furigana: parts.flatMap((part) => part.furigana)
+        };
+    };
+
+    /**
+     * Get the accepted answers for a time of day. 午前 / 午後 is needed, but 12 o'clock can be 零時 or 十二時,
+     * 半 can be 三十分, and the other common readings are accepted (e.g. ななじ, じっぷん, はちふん).
+     * @param {number} hour The hour (0 - 23).
+     * @param {number} minute The minute (0 - 59).
+     * @returns {string[]}
+     */
+    const acceptedTimeAnswers = (hour, minute) => {
+        const period = periods[hour < 12 ? 0 : 1];
+        const hourReadings = [hours[hour % 12]];
+        if (hour % 12 === 0) {
+            hourReadings.push(readWithCounter(12, counters.hour));
+        }
+        if (hour % 12 === 7) {
+            hourReadings.push({ kanji: '七時', hiragana: 'ななじ' });
+        }
+
+        const minuteReadings =
+            minute === 0 ? [{ kanji: '', hiragana: '' }] : [];
+        if (minute === 30) minuteReadings.push(half);
+        if (minute !== 0) {
+            const { kanji, hiragana } = minutes[minute];
+            minuteReadings.push(
+                { kanji, hiragana },
+                {
+                    kanji,
+                    hiragana: hiragana
+                        .replace(/じゅっぷん$/, 'じっぷん')
+                        .replace(/はっぷん$/, 'はちふん')
+                }
+            );
+        }
+
+        return [
+            ...new Set(
+                hourReadings.flatMap((hourReading) =>
+                    minuteReadings.flatMap((minuteReading) => [
+                        period.kanji + hourReading.kanji + minuteReading.kanji,
+                        period.hiragana +
+                            hourReading.hiragana +
+                            minuteReading.hiragana
                     ])
-                ];
+                )
+            )
+        ];
+    };
+
+    /**
+     * Get the accepted answers for a duration: the reading, and the other common readings
+     * (e.g. じっしゅうかん for じゅっしゅうかん, しちねんかん for ななねんかん).
+     * @param {DurationUnit} unit The unit of the duration.
+     * @param {number} number The duration.
+     * @returns {string[]}
+     */
+    const acceptedDurationAnswers = (unit, number) => {
+        const { kanji, hiragana } = unit.read(number);
+        return [
+            ...new Set([
+                kanji,
+                hiragana,
+                hiragana.replace(/じゅっ/g, 'じっ'),
+                hiragana.replace(/^ななねんかん$/, 'しちねんかん'),
+                hiragana.replace(/じゅうななねんかん$/, 'じゅうしちねんかん')
+            ])
+        ];
+    };
+
+    /**
+     * The options of a multiple choice question: the correct option and the distractors (most plausible first).
+     * @typedef {{correct: string, distractors: string[]}} Choices
+     */
+
+    /**
+     * Counters read the "regular" way, the most common mistakes with the special readings
+     * (e.g. 四日 → よんにち instead of よっか, 四月 → よんがつ instead of しがつ).
+     * @type {{[name: string]: Counter}}
+     */
+    const misreadCounters = {
+        day: { kanji: '日', hiragana: 'にち' },
+        dayDigits: {
+            kanji: '日',
+            hiragana: 'にち',
+            digits: { 4: 'し', 7: 'しち', 9: 'く' }
+        },
+        month: { kanji: '月', hiragana: 'がつ' },
+        year: { kanji: '年', hiragana: 'ねん' },
+        hour: { kanji: '時', hiragana: 'じ', digits: { 7: 'しち' } },
+        minute: { kanji: '分', hiragana: 'ふん' },
+        weeks: { kanji: '週間', hiragana: 'しゅうかん' },
+        months: { kanji: 'か月', hiragana: 'かげつ' },
+        years: { kanji: '年間', hiragana: 'ねんかん' }
+    };
+
+    /**
+     * Days of the month with readings that are easy to mix up (よっか / ようか, みっか / むいか, ふつか / はつか).
+     */
+    const confusableDays = [
+        [4, 8],
+        [3, 6],
+        [2, 20]
+    ];
+
+    /**
+     * Get the days of the month that are easy to mix up with a day (the most similar first).
+     * @param {number} day The day of the month (1 - 31).
+     * @returns {number[]}
+     */
+    const similarDays = (day) => [
+        ...confusableDays
+            .filter((pair) => pair.includes(day))
+            .map((pair) => (pair[0] === day ? pair[1] : pair[0])),
+        ...[day + 1, day - 1, day + 2, day - 2, day + 3, day - 3].filter(
+            (other) => other >= 1 && other <= 31
+        )
+    ];
+
+    /**
+     * Get plausible wrong readings of a day of the month (e.g. 九日 → くにち, きゅうにち, とおか).
+     * @param {number} day The day of the month (1 - 31).
+     * @returns {string[]}
+     */
+    const dayDistractors = (day) => [
+        ...similarDays(day)
+            .slice(0, 1)
+            .map((other) => days[other - 1].hiragana),
+        readWithCounter(day, misreadCounters.dayDigits).hiragana,
+        readWithCounter(day, misreadCounters.day).hiragana,
+        ...similarDays(day).map((other) => days[other - 1].hiragana)
+    ];
+
+    /**
+     * Months with readings that are easy to mix up (四月 / 七月: しがつ / しちがつ), as month indexes (0 - 11).
+     */
+    const confusableMonths = [[3, 6]];
+
+    /**
+     * Get the months that are easy to mix up with a month (the most similar first).
+     * @param {number} month The month (0 - 11).
+     * @returns {number[]}
+     */
+    const similarMonths = (month) => [
+        ...confusableMonths
+            .filter((pair) => pair.includes(month))
+            .map((pair) => (pair[0] === month ? pair[1] : pair[0])),
+        ...[1, 11, 2, 10].map((offset) => (month + offset) % 12)
+    ];
+
+    /**
+     * Get plausible wrong readings of a month (e.g. 四月 → よんがつ, しちがつ, よんかげつ).
+     * @param {number} month The month (0 - 11).
+     * @returns {string[]}
+     */
+    const monthDistractors = (month) => [
+        readWithCounter(month + 1, misreadCounters.month).hiragana,
+        months[similarMonths(month)[0]].hiragana,
+        readWithCounter(month + 1, counters.months).hiragana,
+        ...similarMonths(month).map((other) => months[other].hiragana)
+    ];
+
+    /**
+     * Get the neighbouring days of the week of a day of the week (the most similar first).
+     * @param {number} weekday The day of the week (0 - 6).
+     * @returns {number[]}
+     */
+    const similarWeekdays = (weekday) =>
+        [1, 6, 2, 5].map((offset) => (weekday + offset) % 7);
+
+    /**
+     * Get plausible wrong readings of a year in the Japanese calendar:
+     * off by one (the classic mistake in era conversions) and the regular reading of the number (e.g. 元年 → いちねん).
+     * @param {number} year The western year.
+     * @param {number} month The month (0 - 11) used to pick the era. (Optional, defaults to December)
+     * @param {number} day The day of the month used to pick the era. (Optional, defaults to the 31st)
+     * @returns {string[]}
+     */
+    const imperialYearDistractors = (year, month = 11, day = 31) => {
+        const answers = dynamicYear(year, month, day);
+        return [
+            answers.era.hiragana +
+                readWithCounter(answers.imperialYear, misreadCounters.year)
+                    .hiragana,
+            answers.era.hiragana +
+                readWithCounter(answers.imperialYear + 1, counters.year)
+                    .hiragana,
+            ...(answers.imperialYear > 1
+                ? [
+                      answers.era.hiragana +
+                          readWithCounter(
+                              answers.imperialYear - 1,
+                              counters.year
+                          ).hiragana
+                  ]
+                : []),
+            answers.era.hiragana +
+                readWithCounter(answers.imperialYear + 2, counters.year)
+                    .hiragana
+        ];
+    };
+
+    /**
+     * Get plausible wrong readings of a western year (off by one and the regular reading of the number).
+     * @param {number} year The western year.
+     * @returns {string[]}
+     */
+    const westernYearDistractors = (year) => [
+        readWithCounter(year, misreadCounters.year).hiragana,
+        readWithCounter(year + 1, counters.year).hiragana,
+        readWithCounter(year - 1, counters.year).hiragana,
+        readWithCounter(year + 2, counters.year).hiragana
+    ];
+
+    /**
+     * Answer the question in a tense (です or でした). The same answer in the wrong tense is the first distractor.
+     * @param {Choices} choices The choices to answer in the tense.
+     * @param {boolean} isPast If the question is about the past.
+     * @returns {Choices}
+     */
+    const withTense = (choices, isPast) => {
+        const tense = isPast ? 'でした' : 'です';
+        return {
+            correct: choices.correct + tense,
+            distractors: [
+                choices.correct + (isPast ? 'です' : 'でした'),
+                ...choices.distractors.map((distractor) => distractor + tense)
+            ]
+        };
+    };
+
+    /**
+     * The choices for a question asking for a day of the week.
+     * @param {Date} day The correct day.
+     * @param {boolean} isPast If the question is about the past.
+     * @returns {Choices}
+     */
+    const weekdayChoices = (day, isPast) =>
+        withTense(
+            {
+                correct: daysOfWeek[day.getDay()].hiragana,
+                distractors: similarWeekdays(day.getDay()).map(
+                    (weekday) => daysOfWeek[weekday].hiragana
+                )
             },
-            answer: (date, seed) => {
-                const weeks = getWeeks(new Date());
-                const currentWeekIndex = weeks.findIndex((week) =>
-                    week.some((day) => day && day.getDate() === date.getDate())
-                );
-                const targetDay = randomFromList(
-                    weeks[currentWeekIndex + 1].filter((e) => e),
-                    seed
-                );
+            isPast
+        );
+
+    /**
+     * The choices for a question asking for a date (with the month when it is not the same as the reference month).
+     * @param {Date} target The correct date.
+     * @param {Date} reference The date the question is relative to.
+     * @param {boolean} isPast If the question is about the past.
+     * @returns {Choices}
+     */
+    const dateChoices = (target, reference, isPast) => {
+        const month =
+            target.getMonth() === reference.getMonth()
+                ? ''
+                : months[target.getMonth()].hiragana;
+        return withTense(
+            {
+                correct: dateAnswer(target, reference).hiragana,
+                distractors: dayDistractors(target.getDate()).map(
+                    (distractor) => month + distractor
+                )
+            },
+            isPast
+        );
+    };
+
+    /**
+     * The choices for a question asking for a month.
+     * @param {number} month The correct month (0 - 11).
+     * @param {boolean} isPast If the question is about the past.
+     * @returns {Choices}
+     */
+    const monthChoices = (month, isPast) =>
+        withTense(
+            {
+                correct: months[month].hiragana,
+                distractors: monthDistractors(month)
+            },
+            isPast
+        );
+
+    /**
+     * The choices for a question asking for a year in the Japanese calendar.
+     * @param {number} year The western year.
+     * @param {number} month The month (0 - 11) used to pick the era.
+     * @param {number} day The day of the month used to pick the era.
+     * @param {boolean} isPast If the question is about the past.
+     * @returns {Choices}
+     */
+    const yearChoices = (year, month, day, isPast) =>
+        withTense(
+            {
+                correct: dynamicYear(year, month, day).imperialHiragana,
+                distractors: imperialYearDistractors(year, month, day)
+            },
+            isPast
+        );
+
+    /**
+     * The choices for a question asking for a time of day: the regular readings (よんじ, さんふん),
+     * the hour after it (a common mistake when reading a clock), the other half of the day and the hour before it.
+     * Regular readings that are also accepted (e.g. はちふん) are left out.
+     * @param {number} hour The correct hour (0 - 23).
+     * @param {number} minute The correct minute (0 - 59).
+     * @returns {Choices}
+     */
+    const timeChoices = (hour, minute) => {
+        let misreadMinute = '';
+        if (minute === 30) misreadMinute = half.hiragana;
+        else if (minute !== 0) {
+            misreadMinute = readWithCounter(
+                minute,
+                misreadCounters.minute
+            ).hiragana;
+        }
+        const misread =
+            periods[hour < 12 ? 0 : 1].hiragana +
+            readWithCounter(hour % 12, misreadCounters.hour).hiragana +
+            misreadMinute;
+
+        return {
+            correct: readTime(hour, minute).hiragana,
+            distractors: [
+                misread,
+                readTime((hour + 1) % 24, minute).hiragana,
+                readTime((hour + 12) % 24, minute).hiragana,
+                readTime((hour + 23) % 24, minute).hiragana
+            ].filter(
+                (distractor) =>
+                    !acceptedTimeAnswers(hour, minute).includes(distractor)
+            )
+        };
+    };
+
+    /**
+     * The choices for a question asking for a duration: the reading without the sound changes,
+     * and the durations next to it (one less is the most common mistake when counting the days between two dates).
+     * @param {DurationUnit} unit The unit of the duration.
+     * @param {number} number The correct duration.
+     * @returns {Choices}
+     */
+    const durationChoices = (unit, number) => ({
+        correct: unit.read(number).hiragana,
+        distractors: [
+            unit.misread(number),
+            ...(number > 1 ? [unit.read(number - 1).hiragana] : []),
+            unit.read(number + 1).hiragana,
+            unit.read(number + 2).hiragana,
+            unit.read(number + 3).hiragana
+        ].filter(
+            (distractor) =>
+                !acceptedDurationAnswers(unit, number).includes(distractor)
+        )
+    });
+
+    /**
+     * Pick the options of a multiple choice question: the correct option and the 3 most plausible distractors, shuffled.
+     * @param {Choices} choices The choices of the question.
+     * @param {number} seed The seed of the question.
+     * @returns {{options: string[], correctIndex: number}}
+     */
+    const pickChoices = (choices, seed) => {
+        const distractors = [
+            ...new Set(
+                choices.distractors.filter(
+                    (distractor) => distractor !== choices.correct
+                )
+            )
+        ].slice(0, 3);
+        const options = shuffle(
+            [choices.correct, ...distractors],
+            createRandom(Math.floor(seed * 4294967296))
+        );
+        return { options, correctIndex: options.indexOf(choices.correct) };
+    };
+
+    /**
+     * The text of a question: plain text, text with furigana, and other elements (e.g. a clock).
+     * The text is annotated with the question words, the other elements are shown as they are.
+     * @typedef {(string | Furigana | BoundryElement)[]} PromptParts
+     */
+
+    /**
+     * The answer to a question. Every line is shown as "question → answer → reading" (the text with furigana is
+     * shown with its romaji), and the lines are separated with "OR".
+     * @typedef {(string | Furigana)[][]} Solution
+     */
+
+    /**
+     * A question that can be registered. Every function gets the quiz date and the seed of the question.
+     * - id: A unique and stable id (used for the URL and the saved progress).
+     * - category: The id of the category the question is in (see questionCategories).
+     * - difficulty: From 1 (a single word) to 3 (the answer has to be worked out, e.g. the era or a holiday).
+     * - tables: The vocabulary the question needs (the prefixes of its vocabulary items, e.g. "days").
+     * - prompt: The text of the question.
+     * - solution: The lines of the answer.
+     * - vocabulary: The vocabulary items the question tests (e.g. "days:14").
+     * - accepted: The accepted typed answers.
+     * - choices: The options in multiple choice mode.
+     * - targetDate: The day the question asks for, for questions that can be answered by picking a day on the calendar. (Optional)
+     * - available: If the question can be asked for the quiz date (e.g. there were no holidays before 1948). (Optional)
+     * @typedef {{id: string, category: string, difficulty: number, tables: string[], prompt: (function(Date, number): PromptParts), solution: (function(Date, number): Solution), vocabulary: (function(Date, number): string[]), accepted: (function(Date, number): string[]), choices: (function(Date, number): Choices), targetDate?: (function(Date, number): Date), available?: (function(Date): boolean)}} QuestionDefinition
+     */
+
+    /**
+     * A registered question, with the elements of its question and answer.
+     * @typedef {QuestionDefinition & {createQuestion: (function(Date, number): BoundryElement[]), answer: (function(Date, number): BoundryElement[])}} QuestionGenerator
+     */
+
+    /**
+     * The categories of questions that can be picked in the settings.
+     * @type {{id: string, label: string}[]}
+     */
+    const questionCategories = [
+        { id: 'day-of-week', label: 'Day of the week (何曜日)' },
+        { id: 'date-of-month', label: 'Date of the month (何日)' },
+        { id: 'month', label: 'Month (何月)' },
+        { id: 'year', label: 'Year (何年)' },
+        { id: 'week-relative', label: 'Week relative (来週の水曜日は何日)' },
+        {
+            id: 'date-to-weekday',
+            label: 'Date → day of the week (三日は何曜日)'
+        },
+        { id: 'vocabulary', label: 'Vocabulary (the 20th ↔ 二十日 ↔ はつか)' },
+        { id: 'time', label: 'Time (何時何分)' },
+        { id: 'duration', label: 'Duration (三日間, 一週間, 二か月, 十年間)' },
+        { id: 'holiday', label: 'Holidays (今年の海の日は何日)' }
+    ];
+
+    /**
+     * The difficulties a question can have (see QuestionDefinition).
+     */
+    const easiestDifficulty = 1;
+    const hardestDifficulty = 3;
+
+    /**
+     * Every registered question, in the order they were registered.
+     * The order is part of the links (the questions are shuffled in this order), so new questions are added at the end.
+     * @type {QuestionGenerator[]}
+     */
+    const questionRegistry = [];
+
+    /**
+     * Create the elements of a question: the text (and furigana) is joined into prompts, other elements are kept.
+     * @param {PromptParts} parts The parts of the question.
+     * @returns {BoundryElement[]}
+     */
+    const createPrompt = (parts) =>
+        parts
+            .reduce((elements, part) => {
+                if (part instanceof BoundryElement) return [...elements, part];
+                const last = elements[elements.length - 1];
+                return last && !(last instanceof BoundryElement)
+                    ? [...elements.slice(0, -1), [...last, part]]
+                    : [...elements, [part]];
+            }, [])
+            .map((element) =>
+                element instanceof BoundryElement ? element : Prompt(...element)
+            );
+
+    /**
+     * Create the elements of an answer, one line for each way to answer.
+     * @param {Solution} solution The lines of the answer.
+     * @returns {BoundryElement[]}
+     */
+    const createSolution = (solution) =>
+        solution.flatMap((line, index) => [
+            ...(index === 0
+                ? []
+                : [h('span', 'question--answer-or', {}, ['OR'])]),
+            h(
+                'span',
+                '',
+                {},
+                joinWithArrow(
+                    line.map((part) =>
+                        typeof part === 'string' ? part : Reading(part)
+                    )
+                )
+            )
+        ]);
+
+    /**
+     * Register a question, so it can be picked for a test.
+     * @param {QuestionDefinition} definition The question.
+     * @returns {QuestionGenerator}
+     */
+    const registerQuestion = (definition) => {
+        if (questionRegistry.some((question) => question.id === definition.id))
+            throw new Error(
+                'The question is already registered: ' + definition.id
+            );
+        if (!questionCategories.some(({ id }) => id === definition.category))
+            throw new Error(
+                'Unknown category "' +
+                    definition.category +
+                    '" of the question: ' +
+                    definition.id
+            );
+        if (
+            !Number.isInteger(definition.difficulty) ||
+            definition.difficulty < easiestDifficulty ||
+            definition.difficulty > hardestDifficulty
+        )
+            throw new RangeError(
+                'The difficulty of the question has to be ' +
+                    easiestDifficulty +
+                    ' - ' +
+                    hardestDifficulty +
+                    ': ' +
+                    definition.id
+            );
+
+        const question = {
+            ...definition,
+            createQuestion: (date, seed) =>
+                createPrompt(definition.prompt(date, seed)),
+            answer: (date, seed) =>
+                createSolution(definition.solution(date, seed))
+        };
+        questionRegistry.push(question);
+        return question;
+    };
+
+    /**
+     * Remove registered questions (e.g. the questions of a pack that is imported again).
+     * @param {function(QuestionGenerator): boolean} predicate If a question is removed.
+     * @returns {void}
+     */
+    const unregisterQuestions = (predicate) => {
+        for (let i = questionRegistry.length - 1; i >= 0; i--) {
+            if (predicate(questionRegistry[i])) questionRegistry.splice(i, 1);
+        }
+    };
+
+    /**
+     * Find the registered questions (in the order they were registered). Every filter is optional.
+     * - ids: Only the questions with these ids.
+     * - categories: Only the questions in these categories.
+     * - maxDifficulty: Only the questions up to this difficulty.
+     * - tables: Only the questions that need no other vocabulary than these tables.
+     * - date: Only the questions that can be asked for this quiz date.
+     * @param {{ids?: string[], categories?: string[], maxDifficulty?: number, tables?: string[], date?: Date}} filters The filters.
+     * @returns {QuestionGenerator[]}
+     */
+    const findQuestions = (filters = {}) =>
+        questionRegistry.filter(
+            (question) =>
+                (!filters.ids || filters.ids.includes(question.id)) &&
+                (!filters.categories ||
+                    filters.categories.includes(question.category)) &&
+                (!filters.maxDifficulty ||
+                    question.difficulty <= filters.maxDifficulty) &&
+                (!filters.tables ||
+                    question.tables.every((table) =>
+                        filters.tables.includes(table)
+                    )) &&
+                (!filters.date ||
+                    !question.available ||
+                    question.available(filters.date))
+        );
+
+    /**
+     * Get a registered question by its id.
+     * @param {string} id The id of the question.
+     * @returns {QuestionGenerator | null}
+     */
+    const getQuestion = (id) =>
+        questionRegistry.find((question) => question.id === id) || null;
+
+    /**
+     * Weeks relative to the week of the quiz date.
+     * @type {{id: string, offset: number, kanji: string, hiragana: string, english: string}[]}
+     */
+    const relativeWeeks = [
+        {
+            id: 'week-before-last',
+            offset: -2,
+            kanji: '先々週',
+            hiragana: 'せんせんしゅう',
+            english: 'the week before last'
+        },
+        {
+            id: 'last-week',
+            offset: -1,
+            kanji: '先週',
+            hiragana: 'せんしゅう',
+            english: 'last week'
+        },
+        {
+            id: 'this-week',
+            offset: 0,
+            kanji: '今週',
+            hiragana: 'こんしゅう',
+            english: 'this week'
+        },
+        {
+            id: 'next-week',
+            offset: 1,
+            kanji: '来週',
+            hiragana: 'らいしゅう',
+            english: 'next week'
+        },
+        {
+            id: 'week-after-next',
+            offset: 2,
+            kanji: '再来週',
+            hiragana: 'さらいしゅう',
+            english: 'the week after next'
+        }
+    ];
+
+    /**
+     * Pick the target day of a week relative question.
+     * @param {Date} date The quiz date.
+     * @param {number} seed The seed for the question.
+     * @param {{offset: number}} week The relative week.
+     * @returns {{targetDay: Date, isPast: boolean}}
+     */
+    const pickWeekDay = (date, seed, week) => {
+        const targetDay = randomFromList(getWeekDays(date, week.offset), seed);
+        // Compare with the start of the quiz date (it has the time on the clock).
+        return { targetDay, isPast: targetDay < addDays(date, 0) };
+    };
+
+    /**
+     * Create a question that asks for the date of a day of the week (e.g. 来週の水曜日は何日ですか？).
+     * @param {{id: string, offset: number, kanji: string, hiragana: string, english: string}} week The relative week.
+     * @returns {QuestionDefinition}
+     */
+    const weekdayToDateQuestion = (week) => ({
+        id: 'weekday-to-date-' + week.id,
+        category: 'week-relative',
+        difficulty: 2,
+        tables: ['daysOfWeek', 'days', 'months'],
+        prompt: (date, seed) => {
+            const { targetDay, isPast } = pickWeekDay(date, seed, week);
+            return [
+                [{ kanji: week.kanji, hiragana: week.hiragana }],
+                'の',
+                daysOfWeek[targetDay.getDay()].furigana,
+                'は何日' + (isPast ? 'でしたか？' : 'ですか？')
+            ];
+        },
+        vocabulary: (date, seed) => {
+            const { targetDay } = pickWeekDay(date, seed, week);
+            return [
+                'daysOfWeek:' + targetDay.getDay(),
+                ...dateVocabulary(targetDay, date)
+            ];
+        },
+        accepted: (date, seed) => {
+            const { targetDay } = pickWeekDay(date, seed, week);
+            return acceptedDateAnswers(targetDay);
+        },
+        choices: (date, seed) => {
+            const { targetDay, isPast } = pickWeekDay(date, seed, week);
+            return dateChoices(targetDay, date, isPast);
+        },
+        targetDate: (date, seed) => pickWeekDay(date, seed, week).targetDay,
+        solution: (date, seed) => {
+            const { targetDay, isPast } = pickWeekDay(date, seed, week);
+            const target = dateAnswer(targetDay, date);
+            return [
+                [
+                    'What date ' +
+                        (isPast ? 'was ' : 'is ') +
+                        daysOfWeek[targetDay.getDay()].english +
+                        ' ' +
+                        week.english +
+                        '?',
+                    target.english,
+                    target.furigana
+                ]
+            ];
+        }
+    });
+
+    /**
+     * Create a question that asks for the day of the week of a date (e.g. 先週の三日は何曜日でしたか？).
+     * @param {{id: string, offset: number, kanji: string, hiragana: string, english: string}} week The relative week.
+     * @returns {QuestionDefinition}
+     */
+    const dateToWeekdayQuestion = (week) => ({
+        id: 'date-to-weekday-' + week.id,
+        category: 'date-to-weekday',
+        difficulty: 2,
+        tables: ['daysOfWeek', 'days', 'months'],
+        prompt: (date, seed) => {
+            const { targetDay, isPast } = pickWeekDay(date, seed, week);
+            return [
+                [{ kanji: week.kanji, hiragana: week.hiragana }],
+                'の',
+                dateAnswer(targetDay, date).furigana,
+                'は何曜日' + (isPast ? 'でしたか？' : 'ですか？')
+            ];
+        },
+        vocabulary: (date, seed) => {
+            const { targetDay } = pickWeekDay(date, seed, week);
+            return [
+                'daysOfWeek:' + targetDay.getDay(),
+                ...dateVocabulary(targetDay, date)
+            ];
+        },
+        accepted: (date, seed) => {
+            const { targetDay } = pickWeekDay(date, seed, week);
+            return [
+                daysOfWeek[targetDay.getDay()].kanji,
+                daysOfWeek[targetDay.getDay()].hiragana
+            ];
+        },
+        choices: (date, seed) => {
+            const { targetDay, isPast } = pickWeekDay(date, seed, week);
+            return weekdayChoices(targetDay, isPast);
+        },
+        solution: (date, seed) => {
+            const { targetDay, isPast } = pickWeekDay(date, seed, week);
+            return [
+                [
+                    'What day ' +
+                        (isPast ? 'was ' : 'is ') +
+                        (targetDay.getMonth() === date.getMonth()
+                            ? 'the '
+                            : '') +
+                        dateAnswer(targetDay, date).english +
+                        ' ' +
+                        week.english +
+                        '?',
+                    daysOfWeek[targetDay.getDay()].english,
+                    daysOfWeek[targetDay.getDay()].furigana
+                ]
+            ];
+        }
+    });
+
+    /**
+     * A vocabulary table used by the vocabulary questions.
+     * - id: The name of the table (also used for the vocabulary items, e.g. "days:20").
+     * - first: The value of the first item (days and months start at 1, days of the week at 0).
+     * - noun: What the items are, for the English answers.
+     * - question: The question word (e.g. 何日).
+     * - english: The English name of an item (e.g. "the 20th").
+     * - values: The accepted answers (other than the kanji) when asking for the value of a reading.
+     * - distractors: Plausible wrong readings of a value, for multiple choice.
+     * - similar: Values that are easy to mix up with a value, for multiple choice.
+     * @typedef {{id: string, first: number, noun: string, question: string, items: {english: string, kanji: string, hiragana: string, furigana: Furigana}[], english: (function({english: string}): string), values: (function({english: string}, number): string[]), distractors: (function(number): string[]), similar: (function(number): number[])}} VocabularyTable
+     */
+
+    /**
+     * The vocabulary tables used by the vocabulary questions.
+     * @type {VocabularyTable[]}
+     */
+    const vocabularyTables = [
+        {
+            id: 'days',
+            first: 1,
+            noun: 'date',
+            question: '何日',
+            items: days,
+            english: (item) => 'the ' + item.english,
+            values: (item, value) => [
+                item.english,
+                value.toString(),
+                value + '日'
+            ],
+            distractors: dayDistractors,
+            similar: similarDays
+        },
+        {
+            id: 'months',
+            first: 1,
+            noun: 'month',
+            question: '何月',
+            items: months,
+            english: (item) => item.english,
+            values: (item, value) => [
+                item.english,
+                value.toString(),
+                value + '月'
+            ],
+            distractors: (value) => monthDistractors(value - 1),
+            similar: (value) =>
+                similarMonths(value - 1).map((month) => month + 1)
+        },
+        {
+            id: 'daysOfWeek',
+            first: 0,
+            noun: 'day of the week',
+            question: '何曜日',
+            items: daysOfWeek,
+            english: (item) => item.english,
+            values: (item, _) => [item.english],
+            distractors: (value) =>
+                similarWeekdays(value).map(
+                    (weekday) => daysOfWeek[weekday].hiragana
+                ),
+            similar: similarWeekdays
+        }
+    ];
+
+    /**
+     * Pick the item of a vocabulary question.
+     * @param {VocabularyTable} table The vocabulary table.
+     * @param {number} seed The seed for the question.
+     * @returns {{item: {english: string, kanji: string, hiragana: string, furigana: Furigana}, value: number}}
+     */
+    const pickVocabulary = (table, seed) => {
+        const index = getRandomInt(0, table.items.length - 1, seed);
+        return { item: table.items[index], value: index + table.first };
+    };
+
+    /**
+     * Create a question that shows the English and asks for the Japanese (e.g. "the 20th" → 二十日).
+     * @param {VocabularyTable} table The vocabulary table.
+     * @returns {QuestionDefinition}
+     */
+    const englishToJapaneseQuestion = (table) => ({
+        id: 'vocabulary-' + table.id + '-english-to-japanese',
+        category: 'vocabulary',
+        difficulty: 1,
+        tables: [table.id],
+        prompt: (_, seed) => {
+            const { item } = pickVocabulary(table, seed);
+            return ['「' + table.english(item) + '」は日本語で何ですか？'];
+        },
+        vocabulary: (_, seed) => [
+            table.id + ':' + pickVocabulary(table, seed).value
+        ],
+        accepted: (_, seed) => {
+            const { item } = pickVocabulary(table, seed);
+            return [item.kanji, item.hiragana];
+        },
+        choices: (_, seed) => {
+            const { item, value } = pickVocabulary(table, seed);
+            return {
+                correct: item.hiragana,
+                distractors: table.distractors(value)
+            };
+        },
+        solution: (_, seed) => {
+            const { item } = pickVocabulary(table, seed);
+            return [
+                [
+                    'How do you say "' + table.english(item) + '" in Japanese?',
+                    item.furigana
+                ]
+            ];
+        }
+    });
+
+    /**
+     * Create a question that shows the kanji and asks for the reading (e.g. 二十日 → はつか).
+     * @param {VocabularyTable} table The vocabulary table.
+     * @returns {QuestionDefinition}
+     */
+    const kanjiToReadingQuestion = (table) => ({
+        id: 'vocabulary-' + table.id + '-kanji-to-reading',
+        category: 'vocabulary',
+        difficulty: 2,
+        tables: [table.id],
+        prompt: (_, seed) => {
+            const { item } = pickVocabulary(table, seed);
+            // The kanji never get furigana, that would give the answer away.
+            return [
+                [{ kanji: item.kanji, hiragana: '' }],
+                'の読み方は何ですか？'
+            ];
+        },
+        vocabulary: (_, seed) => [
+            table.id + ':' + pickVocabulary(table, seed).value
+        ],
+        accepted: (_, seed) => [pickVocabulary(table, seed).item.hiragana],
+        choices: (_, seed) => {
+            const { item, value } = pickVocabulary(table, seed);
+            return {
+                correct: item.hiragana,
+                distractors: table.distractors(value)
+            };
+        },
+        solution: (_, seed) => {
+            const { item } = pickVocabulary(table, seed);
+            return [
+                [
+                    'How do you read ' + item.kanji + '?',
+                    table.english(item),
+                    item.furigana
+                ]
+            ];
+        }
+    });
+
+    /**
+     * Create a question that shows the reading and asks for the value (e.g. はつか → 20th).
+     * @param {VocabularyTable} table The vocabulary table.
+     * @returns {QuestionDefinition}
+     */
+    const readingToValueQuestion = (table) => ({
+        id: 'vocabulary-' + table.id + '-reading-to-value',
+        category: 'vocabulary',
+        difficulty: 1,
+        tables: [table.id],
+        prompt: (_, seed) => {
+            const { item } = pickVocabulary(table, seed);
+            return [item.hiragana + 'は' + table.question + 'ですか？'];
+        },
+        vocabulary: (_, seed) => [
+            table.id + ':' + pickVocabulary(table, seed).value
+        ],
+        accepted: (_, seed) => {
+            const { item, value } = pickVocabulary(table, seed);
+            return [
+                item.kanji,
+                table.english(item),
+                ...table.values(item, value)
+            ];
+        },
+        choices: (_, seed) => {
+            const { item, value } = pickVocabulary(table, seed);
+            return {
+                correct: table.english(item),
+                distractors: table
+                    .similar(value)
+                    .map((other) =>
+                        table.english(table.items[other - table.first])
+                    )
+            };
+        },
+        solution: (_, seed) => {
+            const { item } = pickVocabulary(table, seed);
+            return [
+                [
+                    'Which ' + table.noun + ' is ' + item.hiragana + '?',
+                    table.english(item),
+                    item.furigana
+                ]
+            ];
+        }
+    });
+
+    /**
+     * Pick a time of day for a question.
+     * @param {number} seed The seed for the question.
+     * @param {number} step The minutes are a multiple of it (e.g. 5 for an analogue clock).
+     * @returns {{hour: number, minute: number}}
+     */
+    const pickTime = (seed, step) => {
+        const random = createRandom(Math.floor(seed * 4294967296));
+        return {
+            hour: getRandomInt(0, 23, random()),
+            minute: getRandomInt(0, 60 / step - 1, random()) * step
+        };
+    };
+
+    /**
+     * Get the vocabulary items for a time of day (the minutes are left out on the hour).
+     * @param {number} hour The hour (0 - 23).
+     * @param {number} minute The minute (0 - 59).
+     * @returns {string[]}
+     */
+    const timeVocabulary = (hour, minute) =>
+        minute === 0
+            ? ['hours:' + (hour % 12)]
+            : ['hours:' + (hour % 12), 'minutes:' + minute];
+
+    /**
+     * The answer to a time question.
+     * @param {string} question The question in English.
+     * @param {number} hour The hour (0 - 23).
+     * @param {number} minute The minute (0 - 59).
+     * @returns {Solution}
+     */
+    const timeSolution = (question, hour, minute) => {
+        const time = readTime(hour, minute);
+        return [[question, time.english, time.furigana]];
+    };
+
+    /**
+     * Clocks that a time question is shown on.
+     * - step: The minutes are a multiple of it (an analogue clock is hard to read to the minute).
+     * @type {{id: string, english: string, analog: boolean, step: number}[]}
+     */
+    const clockTypes = [
+        { id: 'analog', english: 'the clock', analog: true, step: 5 },
+        { id: 'digital', english: 'the 24 hour clock', analog: false, step: 1 }
+    ];
+
+    /**
+     * Create a question that shows a clock and asks for the time (今何時ですか？).
+     * @param {{id: string, english: string, analog: boolean, step: number}} clock The clock to show.
+     * @returns {QuestionDefinition}
+     */
+    const clockQuestion = (clock) => ({
+        id: 'time-clock-' + clock.id,
+        category: 'time',
+        difficulty: 1,
+        tables: ['hours', 'minutes'],
+        prompt: (_, seed) => {
+            const { hour, minute } = pickTime(seed, clock.step);
+            return [
+                clock.analog
+                    ? AnalogClock(hour, minute)
+                    : DigitalClock(hour, minute),
+                '今何時ですか？'
+            ];
+        },
+        vocabulary: (_, seed) => {
+            const { hour, minute } = pickTime(seed, clock.step);
+            return timeVocabulary(hour, minute);
+        },
+        accepted: (_, seed) => {
+            const { hour, minute } = pickTime(seed, clock.step);
+            return acceptedTimeAnswers(hour, minute);
+        },
+        choices: (_, seed) => {
+            const { hour, minute } = pickTime(seed, clock.step);
+            return timeChoices(hour, minute);
+        },
+        solution: (_, seed) => {
+            const { hour, minute } = pickTime(seed, clock.step);
+            return timeSolution(
+                'What time is it on ' + clock.english + '?',
+                hour,
+                minute
+            );
+        }
+    });
+
+    /**
+     * Minutes from the time on the clock at the top, for the 〜分後 questions.
+     */
+    const laterMinutes = [5, 10, 15, 20, 30, 40, 45];
+
+    /**
+     * Get the time a number of minutes after the quiz time (wrapping around midnight).
+     * @param {Date} date The quiz date (with the time on the clock at the top).
+     * @param {number} amount The number of minutes to add.
+     * @returns {{hour: number, minute: number}}
+     */
+    const addMinutes = (date, amount) => {
+        const total =
+            (date.getHours() * 60 + date.getMinutes() + amount) % (24 * 60);
+        return { hour: Math.floor(total / 60), minute: total % 60 };
+    };
+
+    /**
+     * Pick a duration for a question.
+     * @param {DurationUnit} unit The unit of the duration.
+     * @param {number} seed The seed for the question.
+     * @returns {number}
+     */
+    const pickDuration = (unit, seed) => getRandomInt(1, unit.max, seed);
+
+    /**
+     * Get a duration in English (e.g. 1 week, 3 days).
+     * @param {DurationUnit} unit The unit of the duration.
+     * @param {number} number The duration.
+     * @returns {string}
+     */
+    const durationEnglish = (unit, number) =>
+        number + ' ' + unit.english + (number === 1 ? '' : 's');
+
+    /**
+     * Create a question that shows a duration and asks for the reading (e.g. 二日間 → ふつかかん).
+     * @param {DurationUnit} unit The unit of the duration.
+     * @returns {QuestionDefinition}
+     */
+    const durationReadingQuestion = (unit) => ({
+        id: 'duration-' + unit.id + '-reading',
+        category: 'duration',
+        difficulty: 2,
+        tables: ['duration-' + unit.id],
+        prompt: (_, seed) => {
+            // The kanji never get furigana, that would give the answer away.
+            return [
+                [
+                    {
+                        kanji: unit.read(pickDuration(unit, seed)).kanji,
+                        hiragana: ''
+                    }
+                ],
+                'の読み方は何ですか？'
+            ];
+        },
+        vocabulary: (_, seed) => [
+            'duration-' + unit.id + ':' + pickDuration(unit, seed)
+        ],
+        accepted: (_, seed) =>
+            acceptedDurationAnswers(unit, pickDuration(unit, seed)),
+        choices: (_, seed) => durationChoices(unit, pickDuration(unit, seed)),
+        solution: (_, seed) => {
+            const number = pickDuration(unit, seed);
+            const duration = unit.read(number);
+            return [
+                [
+                    'How do you read ' + duration.kanji + '?',
+                    durationEnglish(unit, number),
+                    duration.furigana
+                ]
+            ];
+        }
+    });
+
+    /**
+     * Pick the first and last day of a question asking for the days between two dates.
+     * The first day is in the month of the quiz date, the last day can be in the next month.
+     * @param {Date} date The quiz date.
+     * @param {number} seed The seed for the question.
+     * @returns {{start: Date, end: Date, length: number}} The days (length counts both of them, like 〜から〜まで).
+     */
+    const pickDateRange = (date, seed) => {
+        const random = createRandom(Math.floor(seed * 4294967296));
+        const daysInMonth = new Date(
+            date.getFullYear(),
+            date.getMonth() + 1,
+            0
+        ).getDate();
+        const start = new Date(
+            date.getFullYear(),
+            date.getMonth(),
+            getRandomInt(1, daysInMonth, random())
+        );
+        const length = getRandomInt(2, 14, random());
+        return { start, end: addDays(start, length - 1), length };
+    };
+
+    /**
+     * Get the holidays of the quiz year that questions are asked about (not the substitute, citizens' and one time holidays).
+     * @param {Date} date The quiz date.
+     * @returns {Holiday[]}
+     */
+    const askableHolidays = (date) =>
+        getHolidays(date.getFullYear()).filter((holiday) =>
+            holidayRules.some((rule) => rule.id === holiday.id)
+        );
+
+    /**
+     * Pick the holiday of a holiday question.
+     * @param {Date} date The quiz date.
+     * @param {number} seed The seed for the question.
+     * @returns {{holiday: Holiday, isPast: boolean}}
+     */
+    const pickHoliday = (date, seed) => {
+        const holiday = randomFromList(askableHolidays(date), seed);
+        // Compare with the start of the quiz date (it has the time on the clock).
+        return { holiday, isPast: holiday.date < addDays(date, 0) };
+    };
+
+    /**
+     * Create a question about this year's holidays (e.g. 今年の海の日は何日ですか？).
+     * @param {{id: string, question: string, english: string}} kind What is asked about the holiday.
+     * @returns {QuestionDefinition}
+     */
+    const holidayQuestion = (kind) => ({
+        id: 'holiday-' + kind.id,
+        category: 'holiday',
+        difficulty: 3,
+        tables:
+            kind.id === 'date'
+                ? ['holidays', 'days', 'months']
+                : ['holidays', 'daysOfWeek'],
+        available: (date) => askableHolidays(date).length > 0,
+        prompt: (date, seed) => {
+            const { holiday, isPast } = pickHoliday(date, seed);
+            return [
+                '今年の',
+                holiday.furigana,
+                'は' + kind.question + (isPast ? 'でしたか？' : 'ですか？')
+            ];
+        },
+        vocabulary: (date, seed) => {
+            const { holiday } = pickHoliday(date, seed);
+            return [
+                'holidays:' + holiday.id,
+                ...(kind.id === 'weekday'
+                    ? ['daysOfWeek:' + holiday.date.getDay()]
+                    : dateVocabulary(holiday.date, date))
+            ];
+        },
+        accepted: (date, seed) => {
+            const { holiday } = pickHoliday(date, seed);
+            if (kind.id === 'date') return acceptedDateAnswers(holiday.date);
+            return [
+                daysOfWeek[holiday.date.getDay()].kanji,
+                daysOfWeek[holiday.date.getDay()].hiragana
+            ];
+        },
+        choices: (date, seed) => {
+            const { holiday, isPast } = pickHoliday(date, seed);
+            return kind.id === 'date'
+                ? dateChoices(holiday.date, date, isPast)
+                : weekdayChoices(holiday.date, isPast);
+        },
+        ...(kind.id === 'date'
+            ? {
+                  targetDate: (date, seed) =>
+                      pickHoliday(date, seed).holiday.date
+              }
+            : {}),
+        solution: (date, seed) => {
+            const { holiday, isPast } = pickHoliday(date, seed);
+            const target =
+                kind.id === 'date'
+                    ? dateAnswer(holiday.date, date)
+                    : daysOfWeek[holiday.date.getDay()];
+            return [
+                [
+                    kind.english +
+                        (isPast ? ' was ' : ' is ') +
+                        holiday.english +
+                        ' this year?',
+                    target.english,
+                    target.furigana
+                ]
+            ];
+        }
+    });
+
+    /**
+     * Get the vocabulary items for a date, including the month when it is not the same as the reference month.
+     * @param {Date} target The date to get the vocabulary for.
+     * @param {Date} reference The date the question is relative to.
+     * @returns {string[]}
+     */
+    const dateVocabulary = (target, reference) => {
+        const vocabulary = ['days:' + target.getDate()];
+        if (target.getMonth() !== reference.getMonth()) {
+            vocabulary.push('months:' + (target.getMonth() + 1));
+        }
+        return vocabulary;
+    };
+
+    /**
+     * Pick a random date between the Meiji era and 2049 (for the era conversion questions).
+     * @param {number} seed The seed for the question.
+     * @returns {Date}
+     */
+    const pickHistoricalDate = (seed) => {
+        const start = new Date(1869, 0, 1);
+        const totalDays = Math.round(
+            (new Date(2049, 11, 31) - start) / 86400000
+        );
+        return addDays(start, getRandomInt(0, totalDays, seed));
+    };
+
+    /**
+     * Get the label for a western year in an era conversion question.
+     * When the era changed during the year, the full date is needed to pick the era.
+     * @param {Date} date The date to get the label for.
+     * @returns {{english: string, kanji: string, furigana: Furigana}}
+     */
+    const historicalDateLabel = (date) => {
+        const year = dynamicYear(date.getFullYear());
+        const isChangeoverYear =
+            getEra(new Date(date.getFullYear(), 0, 1)) !== year.era;
+        if (!isChangeoverYear) {
+            return {
+                english: year.westernEnglish,
+                kanji: year.westernKanji,
+                furigana: year.westernFurigana
+            };
+        }
+
+        return {
+            english:
+                months[date.getMonth()].english +
+                ' ' +
+                days[date.getDate() - 1].english +
+                ', ' +
+                year.westernEnglish,
+            kanji:
+                year.westernKanji +
+                months[date.getMonth()].kanji +
+                days[date.getDate() - 1].kanji,
+            furigana: [
+                ...year.westernFurigana,
+                ...months[date.getMonth()].furigana,
+                ...days[date.getDate() - 1].furigana
+            ]
+        };
+    };
+
+    /**
+     * Normalize a typed answer so it can be compared against the accepted answers.
+     * (Full-width characters, katakana, whitespace and punctuation are ignored.)
+     * @param {string} answer The answer to normalize.
+     * @returns {string}
+     */
+    const normalizeAnswer = (answer) =>
+        answer
+            .normalize('NFKC')
+            .replace(/[\u30a1-\u30f6]/g, (char) =>
+                String.fromCharCode(char.charCodeAt(0) - 0x60)
+            )
+            .replace(/[\s。、．，？！.,?!]/g, '')
+            .toLowerCase();
+
+    /**
+     * Check if a typed answer matches one of the accepted answers.
+     * @param {string} answer The typed answer.
+     * @param {string[]} accepted The accepted answers.
+     * @returns {boolean}
+     */
+    const isCorrectAnswer = (answer, accepted) => {
+        const normalized = normalizeAnswer(answer);
+        if (normalized === '') return false;
+        return accepted.some(
+            (acceptedAnswer) => normalizeAnswer(acceptedAnswer) === normalized
+        );
+    };
+
+    /**
+     * The questions of the quiz, registered in the order of the links (new questions are added at the end).
+     */
+    // Day of the week.
+    registerQuestion({
+        id: 'weekday-day-before-yesterday',
+        category: 'day-of-week',
+        difficulty: 1,
+        tables: ['daysOfWeek'],
+        prompt: (_0, _1) => ['一昨日は何曜日でしたか？'],
+        vocabulary: (date, _) => ['daysOfWeek:' + addDays(date, -2).getDay()],
+        accepted: (date, _) => {
+            const day = addDays(date, -2);
+            return [
+                daysOfWeek[day.getDay() % 7].kanji,
+                daysOfWeek[day.getDay() % 7].hiragana
+            ];
+        },
+        choices: (date, _) => weekdayChoices(addDays(date, -2), true),
+        solution: (date, _) => {
+            const day = addDays(date, -2);
+            return [
+                [
+                    'What day was it the day before yesterday?',
+                    daysOfWeek[day.getDay() % 7].english,
+                    daysOfWeek[day.getDay() % 7].furigana
+                ]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'weekday-yesterday',
+        category: 'day-of-week',
+        difficulty: 1,
+        tables: ['daysOfWeek'],
+        prompt: (_0, _1) => ['昨日は何曜日でしたか？'],
+        vocabulary: (date, _) => ['daysOfWeek:' + addDays(date, -1).getDay()],
+        accepted: (date, _) => {
+            const day = addDays(date, -1);
+            return [
+                daysOfWeek[day.getDay() % 7].kanji,
+                daysOfWeek[day.getDay() % 7].hiragana
+            ];
+        },
+        choices: (date, _) => weekdayChoices(addDays(date, -1), true),
+        solution: (date, _) => {
+            const day = addDays(date, -1);
+            return [
+                [
+                    'What day was it yesterday?',
+                    daysOfWeek[day.getDay() % 7].english,
+                    daysOfWeek[day.getDay() % 7].furigana
+                ]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'weekday-today',
+        category: 'day-of-week',
+        difficulty: 1,
+        tables: ['daysOfWeek'],
+        prompt: (_0, _1) => ['今日は何曜日ですか？'],
+        vocabulary: (date, _) => ['daysOfWeek:' + date.getDay()],
+        accepted: (date, _) => [
+            daysOfWeek[date.getDay() % 7].kanji,
+            daysOfWeek[date.getDay() % 7].hiragana
+        ],
+        choices: (date, _) => weekdayChoices(date, false),
+        solution: (date, _) => {
+            return [
+                [
+                    'What day is it today?',
+                    daysOfWeek[date.getDay() % 7].english,
+                    daysOfWeek[date.getDay() % 7].furigana
+                ]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'weekday-tomorrow',
+        category: 'day-of-week',
+        difficulty: 1,
+        tables: ['daysOfWeek'],
+        prompt: (_0, _1) => ['明日は何曜日ですか？'],
+        vocabulary: (date, _) => ['daysOfWeek:' + addDays(date, 1).getDay()],
+        accepted: (date, _) => {
+            const day = addDays(date, 1);
+            return [
+                daysOfWeek[day.getDay() % 7].kanji,
+                daysOfWeek[day.getDay() % 7].hiragana
+            ];
+        },
+        choices: (date, _) => weekdayChoices(addDays(date, 1), false),
+        solution: (date, _) => {
+            const day = addDays(date, 1);
+            return [
+                [
+                    'What day is it tomorrow?',
+                    daysOfWeek[day.getDay() % 7].english,
+                    daysOfWeek[day.getDay() % 7].furigana
+                ]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'weekday-day-after-tomorrow',
+        category: 'day-of-week',
+        difficulty: 1,
+        tables: ['daysOfWeek'],
+        prompt: (_0, _1) => ['明後日は何曜日ですか？'],
+        vocabulary: (date, _) => ['daysOfWeek:' + addDays(date, 2).getDay()],
+        accepted: (date, _) => {
+            const day = addDays(date, 2);
+            return [
+                daysOfWeek[day.getDay() % 7].kanji,
+                daysOfWeek[day.getDay() % 7].hiragana
+            ];
+        },
+        choices: (date, _) => weekdayChoices(addDays(date, 2), false),
+        solution: (date, _) => {
+            const day = addDays(date, 2);
+            return [
+                [
+                    'What day is it the day after tomorrow?',
+                    daysOfWeek[day.getDay() % 7].english,
+                    daysOfWeek[day.getDay() % 7].furigana
+                ]
+            ];
+        }
+    });
+
+    // Date of the month.
+    registerQuestion({
+        id: 'date-day-before-yesterday',
+        category: 'date-of-month',
+        difficulty: 1,
+        tables: ['days', 'months'],
+        prompt: (_0, _1) => ['一昨日は何日でしたか？'],
+        vocabulary: (date, _) => dateVocabulary(addDays(date, -2), date),
+        accepted: (date, _) => acceptedDateAnswers(addDays(date, -2)),
+        choices: (date, _) => dateChoices(addDays(date, -2), date, true),
+        targetDate: (date, _) => addDays(date, -2),
+        solution: (date, _) => {
+            const target = dateAnswer(addDays(date, -2), date);
+            return [
+                [
+                    'What date was it the day before yesterday?',
+                    target.english,
+                    target.furigana
+                ]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'date-yesterday',
+        category: 'date-of-month',
+        difficulty: 1,
+        tables: ['days', 'months'],
+        prompt: (_0, _1) => ['昨日は何日でしたか？'],
+        vocabulary: (date, _) => dateVocabulary(addDays(date, -1), date),
+        accepted: (date, _) => acceptedDateAnswers(addDays(date, -1)),
+        choices: (date, _) => dateChoices(addDays(date, -1), date, true),
+        targetDate: (date, _) => addDays(date, -1),
+        solution: (date, _) => {
+            const target = dateAnswer(addDays(date, -1), date);
+            return [
+                ['What date was it yesterday?', target.english, target.furigana]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'date-today',
+        category: 'date-of-month',
+        difficulty: 1,
+        tables: ['days', 'months'],
+        prompt: (_0, _1) => ['今日は何日ですか？'],
+        vocabulary: (date, _) => dateVocabulary(date, date),
+        accepted: (date, _) => acceptedDateAnswers(date),
+        choices: (date, _) => dateChoices(date, date, false),
+        targetDate: (date, _) => date,
+        solution: (date, _) => {
+            const target = dateAnswer(date, date);
+            return [
+                ['What date is it today?', target.english, target.furigana]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'date-tomorrow',
+        category: 'date-of-month',
+        difficulty: 1,
+        tables: ['days', 'months'],
+        prompt: (_0, _1) => ['明日は何日ですか？'],
+        vocabulary: (date, _) => dateVocabulary(addDays(date, 1), date),
+        accepted: (date, _) => acceptedDateAnswers(addDays(date, 1)),
+        choices: (date, _) => dateChoices(addDays(date, 1), date, false),
+        targetDate: (date, _) => addDays(date, 1),
+        solution: (date, _) => {
+            const target = dateAnswer(addDays(date, 1), date);
+            return [
+                ['What date is it tomorrow?', target.english, target.furigana]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'date-day-after-tomorrow',
+        category: 'date-of-month',
+        difficulty: 1,
+        tables: ['days', 'months'],
+        prompt: (_0, _1) => ['明後日は何日ですか？'],
+        vocabulary: (date, _) => dateVocabulary(addDays(date, 2), date),
+        accepted: (date, _) => acceptedDateAnswers(addDays(date, 2)),
+        choices: (date, _) => dateChoices(addDays(date, 2), date, false),
+        targetDate: (date, _) => addDays(date, 2),
+        solution: (date, _) => {
+            const target = dateAnswer(addDays(date, 2), date);
+            return [
+                [
+                    'What date is it the day after tomorrow?',
+                    target.english,
+                    target.furigana
+                ]
+            ];
+        }
+    });
+
+    // Month of the year.
+    registerQuestion({
+        id: 'month-last',
+        category: 'month',
+        difficulty: 1,
+        tables: ['months'],
+        prompt: (_0, _1) => ['先月は何月でしたか？'],
+        vocabulary: (date, _) => [
+            'months:' + (addMonths(date, -1).getMonth() + 1)
+        ],
+        accepted: (date, _) => {
+            const month = months[addMonths(date, -1).getMonth()];
+            return [month.kanji, month.hiragana];
+        },
+        choices: (date, _) =>
+            monthChoices(addMonths(date, -1).getMonth(), true),
+        solution: (date, _) => {
+            const month = months[addMonths(date, -1).getMonth()];
+            return [
+                ['What month was it last month?', month.english, month.furigana]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'month-this',
+        category: 'month',
+        difficulty: 1,
+        tables: ['months'],
+        prompt: (_0, _1) => ['今月は何月ですか？'],
+        vocabulary: (date, _) => ['months:' + (date.getMonth() + 1)],
+        accepted: (date, _) => {
+            const month = months[date.getMonth()];
+            return [month.kanji, month.hiragana];
+        },
+        choices: (date, _) => monthChoices(date.getMonth(), false),
+        solution: (date, _) => {
+            const month = months[date.getMonth()];
+            return [
+                ['What month is it this month?', month.english, month.furigana]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'month-next',
+        category: 'month',
+        difficulty: 1,
+        tables: ['months'],
+        prompt: (_0, _1) => ['来月は何月ですか？'],
+        vocabulary: (date, _) => [
+            'months:' + (addMonths(date, 1).getMonth() + 1)
+        ],
+        accepted: (date, _) => {
+            const month = months[addMonths(date, 1).getMonth()];
+            return [month.kanji, month.hiragana];
+        },
+        choices: (date, _) =>
+            monthChoices(addMonths(date, 1).getMonth(), false),
+        solution: (date, _) => {
+            const month = months[addMonths(date, 1).getMonth()];
+            return [
+                ['What month is it next month?', month.english, month.furigana]
+            ];
+        }
+    });
+
+    // Years.
+    registerQuestion({
+        id: 'year-last',
+        category: 'year',
+        difficulty: 2,
+        tables: ['eras'],
+        prompt: (_0, seed) => ['去年は何年でしたか？'],
+        vocabulary: (date, _) => [
+            'eras:' +
+                dynamicYear(
+                    date.getFullYear() - 1,
+                    date.getMonth(),
+                    date.getDate()
+                ).era.english
+        ],
+        accepted: (date, _) => {
+            const year = new Date(date).getFullYear();
+            const answers = dynamicYear(
+                year - 1,
+                date.getMonth(),
+                date.getDate()
+            );
+            return [
+                answers.imperialKanji,
+                answers.imperialHiragana,
+                answers.westernKanji,
+                answers.westernHiragana
+            ];
+        },
+        choices: (date, _) =>
+            yearChoices(
+                date.getFullYear() - 1,
+                date.getMonth(),
+                date.getDate(),
+                true
+            ),
+        solution: (date, seed) => {
+            const year = new Date(date).getFullYear();
+            const answers = dynamicYear(
+                year - 1,
+                date.getMonth(),
+                date.getDate()
+            );
+            return [
+                [
+                    'What year was it last year?',
+                    answers.westernEnglish +
+                        ' - ' +
+                        answers.era.start.getFullYear() +
+                        ' + 1',
+                    answers.imperialEnglish,
+                    answers.imperialFurigana
+                ],
+                [answers.westernEnglish, answers.westernFurigana]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'year-this',
+        category: 'year',
+        difficulty: 2,
+        tables: ['eras'],
+        prompt: (_0, seed) => ['今年は何年ですか？'],
+        vocabulary: (date, _) => [
+            'eras:' +
+                dynamicYear(date.getFullYear(), date.getMonth(), date.getDate())
+                    .era.english
+        ],
+        accepted: (date, _) => {
+            const year = new Date(date).getFullYear();
+            const answers = dynamicYear(year, date.getMonth(), date.getDate());
+            return [
+                answers.imperialKanji,
+                answers.imperialHiragana,
+                answers.westernKanji,
+                answers.westernHiragana
+            ];
+        },
+        choices: (date, _) =>
+            yearChoices(
+                date.getFullYear(),
+                date.getMonth(),
+                date.getDate(),
+                false
+            ),
+        solution: (date, seed) => {
+            const year = new Date(date).getFullYear();
+            const answers = dynamicYear(year, date.getMonth(), date.getDate());
+            return [
+                [
+                    'What year is it this year?',
+                    answers.westernEnglish +
+                        ' - ' +
+                        answers.era.start.getFullYear() +
+                        ' + 1',
+                    answers.imperialEnglish,
+                    answers.imperialFurigana
+                ],
+                [answers.westernEnglish, answers.westernFurigana]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'year-next',
+        category: 'year',
+        difficulty: 2,
+        tables: ['eras'],
+        prompt: (_0, seed) => ['来年は何年ですか？'],
+        vocabulary: (date, _) => [
+            'eras:' +
+                dynamicYear(
+                    date.getFullYear() + 1,
+                    date.getMonth(),
+                    date.getDate()
+                ).era.english
+        ],
+        accepted: (date, _) => {
+            const year = new Date(date).getFullYear();
+            const answers = dynamicYear(
+                year + 1,
+                date.getMonth(),
+                date.getDate()
+            );
+            return [
+                answers.imperialKanji,
+                answers.imperialHiragana,
+                answers.westernKanji,
+                answers.westernHiragana
+            ];
+        },
+        choices: (date, _) =>
+            yearChoices(
+                date.getFullYear() + 1,
+                date.getMonth(),
+                date.getDate(),
+                false
+            ),
+        solution: (date, seed) => {
+            const year = new Date(date).getFullYear();
+            const answers = dynamicYear(
+                year + 1,
+                date.getMonth(),
+                date.getDate()
+            );
+            return [
+                [
+                    'What year is it next year?',
+                    answers.westernEnglish +
+                        ' - ' +
+                        answers.era.start.getFullYear() +
+                        ' + 1',
+                    answers.imperialEnglish,
+                    answers.imperialFurigana
+                ],
+                [answers.westernEnglish, answers.westernFurigana]
+            ];
+        }
+    });
+
+    // Era conversion (western <-> japanese)
+    registerQuestion({
+        id: 'era-western-to-japanese',
+        category: 'year',
+        difficulty: 3,
+        tables: ['eras'],
+        prompt: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            return [
+                historicalDateLabel(target).furigana,
+                'は和暦で何年ですか？'
+            ];
+        },
+        vocabulary: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            return ['eras:' + getEra(target).english];
+        },
+        accepted: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            const answers = dynamicYear(
+                target.getFullYear(),
+                target.getMonth(),
+                target.getDate()
+            );
+            return [answers.imperialKanji, answers.imperialHiragana];
+        },
+        choices: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            return {
+                correct: dynamicYear(
+                    target.getFullYear(),
+                    target.getMonth(),
+                    target.getDate()
+                ).imperialHiragana,
+                distractors: imperialYearDistractors(
+                    target.getFullYear(),
+                    target.getMonth(),
+                    target.getDate()
+                )
+            };
+        },
+        solution: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            const answers = dynamicYear(
+                target.getFullYear(),
+                target.getMonth(),
+                target.getDate()
+            );
+            return [
+                [
+                    'What year is ' +
+                        historicalDateLabel(target).english +
+                        ' in the Japanese calendar?',
+                    answers.westernEnglish +
+                        ' - ' +
+                        answers.era.start.getFullYear() +
+                        ' + 1',
+                    answers.imperialEnglish,
+                    answers.imperialFurigana
+                ]
+            ];
+        }
+    });
+
+    registerQuestion({
+        id: 'era-japanese-to-western',
+        category: 'year',
+        difficulty: 3,
+        tables: ['eras'],
+        prompt: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            const answers = dynamicYear(
+                target.getFullYear(),
+                target.getMonth(),
+                target.getDate()
+            );
+            return [answers.imperialFurigana, 'は西暦で何年ですか？'];
+        },
+        vocabulary: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            return ['eras:' + getEra(target).english];
+        },
+        accepted: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            const answers = dynamicYear(
+                target.getFullYear(),
+                target.getMonth(),
+                target.getDate()
+            );
+            return [
+                answers.westernEnglish + '年',
+                answers.westernKanji,
+                answers.westernHiragana
+            ];
+        },
+        choices: (_, seed) => {
+            const year = pickHistoricalDate(seed).getFullYear();
+            return {
+                correct: readWithCounter(year, counters.year).hiragana,
+                distractors: westernYearDistractors(year)
+            };
+        },
+        solution: (_, seed) => {
+            const target = pickHistoricalDate(seed);
+            const answers = dynamicYear(
+                target.getFullYear(),
+                target.getMonth(),
+                target.getDate()
+            );
+            return [
+                [
+                    'What year is ' +
+                        answers.imperialEnglish +
+                        ' in the Western calendar?',
+                    answers.imperialYear +
+                        ' + ' +
+                        answers.era.start.getFullYear() +
+                        ' - 1',
+                    answers.westernEnglish,
+                    answers.westernFurigana
+                ]
+            ];
+        }
+    });
+
+    // Days of week relative to the current week -> date.
+    relativeWeeks.forEach((week) =>
+        registerQuestion(weekdayToDateQuestion(week))
+    );
+
+    // Date -> Day of week.
+    relativeWeeks.forEach((week) =>
+        registerQuestion(dateToWeekdayQuestion(week))
+    );
+
+    // Vocabulary in other directions (English -> Japanese, kanji -> reading, reading -> value)
+    vocabularyTables.forEach((table) => {
+        registerQuestion(englishToJapaneseQuestion(table));
+        registerQuestion(kanjiToReadingQuestion(table));
+        registerQuestion(readingToValueQuestion(table));
+    });
+
+    // Time of day (the clock at the top, an analogue and a digital clock)
+    registerQuestion({
+        id: 'time-now',
+        category: 'time',
+        difficulty: 1,
+        tables: ['hours', 'minutes'],
+        prompt: (_0, _1) => ['今何時ですか？'],
+        vocabulary: (date, _) =>
+            timeVocabulary(date.getHours(), date.getMinutes()),
+        accepted: (date, _) =>
+            acceptedTimeAnswers(date.getHours(), date.getMinutes()),
+        choices: (date, _) => timeChoices(date.getHours(), date.getMinutes()),
+        solution: (date, _) =>
+            timeSolution(
+                'What time is it now?',
+                date.getHours(),
+                date.getMinutes()
+            )
+    });
+
+    registerQuestion({
+        id: 'time-later',
+        category: 'time',
+        difficulty: 2,
+        tables: ['hours', 'minutes'],
+        prompt: (_, seed) => [
+            minutes[randomFromList(laterMinutes, seed)].furigana,
+            [{ kanji: '後', hiragana: 'ご' }],
+            'は何時何分ですか？'
+        ],
+        vocabulary: (date, seed) => {
+            const later = randomFromList(laterMinutes, seed);
+            const { hour, minute } = addMinutes(date, later);
+            return ['minutes:' + later, ...timeVocabulary(hour, minute)];
+        },
+        accepted: (date, seed) => {
+            const { hour, minute } = addMinutes(
+                date,
+                randomFromList(laterMinutes, seed)
+            );
+            return acceptedTimeAnswers(hour, minute);
+        },
+        choices: (date, seed) => {
+            const { hour, minute } = addMinutes(
+                date,
+                randomFromList(laterMinutes, seed)
+            );
+            return timeChoices(hour, minute);
+        },
+        solution: (date, seed) => {
+            const later = randomFromList(laterMinutes, seed);
+            const { hour, minute } = addMinutes(date, later);
+            return timeSolution(
+                'What time is it in ' + later + ' minutes?',
+                hour,
+                minute
+            );
+        }
+    });
+
+    clockTypes.forEach((clock) => registerQuestion(clockQuestion(clock)));
+
+    // Durations (the days between two dates, and the readings of 〜日間, 〜週間, 〜か月, 〜年間)
+    registerQuestion({
+        id: 'duration-between',
+        category: 'duration',
+        difficulty: 3,
+        tables: ['duration-days'],
+        prompt: (date, seed) => {
+            const { start, end } = pickDateRange(date, seed);
+            return [
+                dateAnswer(start, date).furigana,
+                'から',
+                dateAnswer(end, start).furigana,
+                'まで何日間ですか？'
+            ];
+        },
+        vocabulary: (date, seed) => [
+            'duration-days:' + pickDateRange(date, seed).length
+        ],
+        accepted: (date, seed) =>
+            acceptedDurationAnswers(daysUnit, pickDateRange(date, seed).length),
+        choices: (date, seed) =>
+            durationChoices(daysUnit, pickDateRange(date, seed).length),
+        solution: (date, seed) => {
+            const { start, end, length } = pickDateRange(date, seed);
+            const duration = daysUnit.read(length);
+            return [
+                [
+                    'How many days from ' +
+                        dateAnswer(start, date).english +
+                        ' to ' +
+                        dateAnswer(end, start).english +
+                        ' (counting both)?',
+                    durationEnglish(daysUnit, length),
+                    duration.furigana
+                ]
+            ];
+        }
+    });
+
+    durationUnits.forEach((unit) =>
+        registerQuestion(durationReadingQuestion(unit))
+    );
+
+    // This year's holidays (the date and the day of the week)
+    registerQuestion(
+        holidayQuestion({ id: 'date', question: '何日', english: 'What date' })
+    );
+    registerQuestion(
+        holidayQuestion({
+            id: 'weekday',
+            question: '何曜日',
+            english: 'What day of the week'
+        })
+    );
+
+    /**
+     * Words for a day, week or month relative to the quiz date (e.g. -2 days → 一昨日), used by the question packs.
+     * @type {{[unit: string]: {offset: number, kanji: string, hiragana: string, english: string}[]}}
+     */
+    const relativeWords = {
+        day: [
+            {
+                offset: -2,
+                kanji: '一昨日',
+                hiragana: 'おととい',
+                english: 'the day before yesterday'
+            },
+            {
+                offset: -1,
+                kanji: '昨日',
+                hiragana: 'きのう',
+                english: 'yesterday'
+            },
+            { offset: 0, kanji: '今日', hiragana: 'きょう', english: 'today' },
+            {
+                offset: 1,
+                kanji: '明日',
+                hiragana: 'あした',
+                english: 'tomorrow'
+            },
+            {
+                offset: 2,
+                kanji: '明後日',
+                hiragana: 'あさって',
+                english: 'the day after tomorrow'
+            }
+        ],
+        week: relativeWeeks,
+        month: [
+            {
+                offset: -2,
+                kanji: '先々月',
+                hiragana: 'せんせんげつ',
+                english: 'the month before last'
+            },
+            {
+                offset: -1,
+                kanji: '先月',
+                hiragana: 'せんげつ',
+                english: 'last month'
+            },
+            {
+                offset: 0,
+                kanji: '今月',
+                hiragana: 'こんげつ',
+                english: 'this month'
+            },
+            {
+                offset: 1,
+                kanji: '来月',
+                hiragana: 'らいげつ',
+                english: 'next month'
+            },
+            {
+                offset: 2,
+                kanji: '再来月',
+                hiragana: 'さらいげつ',
+                english: 'the month after next'
+            }
+        ]
+    };
+
+    /**
+     * Get the value of a vocabulary table for a date (e.g. the day of the week for daysOfWeek).
+     * @type {{[table: string]: function(Date): number}}
+     */
+    const dateValues = {
+        days: (date) => date.getDate(),
+        months: (date) => date.getMonth() + 1,
+        daysOfWeek: (date) => date.getDay()
+    };
+
+    /**
+     * A question pack (a JSON file), for adding questions with the exact phrasing of a textbook.
+     * - id: The name of the pack (the question ids are "pack-<id>:<question id>").
+     * - name: The name shown when it is imported.
+     * - tables: Vocabulary tables shaped like a built-in table ("days", "months" or "daysOfWeek"), with one item
+     *   for every value (e.g. 7 days of the week, starting on Sunday). The furigana is optional.
+     * - questions: The questions (see PackQuestion).
+     * @typedef {{id: string, name: string, tables?: {[name: string]: {shape: string, items: {english: string, kanji: string, hiragana: string, furigana?: Furigana, accepted?: string[]}[]}}, questions: PackQuestion[]}} QuestionPack
+     */
+
+    /**
+     * A question of a pack. The prompt (Japanese) and the answer (the question in English) are templates with placeholders:
+     * - {offset:-2,unit:"day"}: A day, week or month relative to the quiz date (一昨日, the day before yesterday).
+     *   The question asks about that day (a random day of the week for weeks). Months can only ask for a month.
+     * - {days}, {months}, {daysOfWeek} (or a table of the pack): The item of the table for the day asked about.
+     * - {tense}: です or でした (is or was in English).
+     * The answer is the item of the table for the day asked about.
+     * @typedef {{id: string, category: string, difficulty: number, table: string, prompt: string, answer: string}} PackQuestion
+     */
+
+    /**
+     * A part of a template: text, or a placeholder (with the table or the offset and unit).
+     * @typedef {{text: string} | {name: string} | {offset: number, unit: string}} TemplatePart
+     */
+
+    /**
+     * Split a template into its text and placeholders (e.g. {offset:-2,unit:"day"}は何曜日).
+     * @param {string} template The template.
+     * @returns {TemplatePart[]}
+     */
+    const parseTemplate = (template) =>
+        template
+            .split(/(\{[^{}]*\})/)
+            .filter((part) => part !== '')
+            .map((part) => {
+                if (!/^\{.*\}$/.test(part)) return { text: part };
+
+                const fields = Object.fromEntries(
+                    part
+                        .slice(1, -1)
+                        .split(',')
+                        .map((field) =>
+                            field.split(':').map((value) => value.trim())
+                        )
+                        .map(([key, value = '']) => [
+                            key.replace(/^"|"$/g, ''),
+                            value.replace(/^"|"$/g, '')
+                        ])
+                );
+                return 'offset' in fields || 'unit' in fields
+                    ? { offset: Number(fields.offset), unit: fields.unit }
+                    : { name: Object.keys(fields)[0] };
+            });
+
+    /**
+     * Check a question pack. The errors point at the part of the file with the problem.
+     * @param {unknown} pack The parsed JSON file.
+     * @returns {string[]} The errors (empty when the pack is valid).
+     */
+    const validatePack = (pack) => {
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack))
+            return ['The pack has to be a JSON object.'];
+
+        const errors = [];
+        const isText = (value) => typeof value === 'string' && value !== '';
+
+        if (!isText(pack.id) || !/^[a-z0-9-]+$/.test(pack.id))
+            errors.push('id: Use lowercase letters, numbers and "-".');
+        if (!isText(pack.name)) errors.push('name: The pack needs a name.');
+
+        const tables = pack.tables === undefined ? {} : pack.tables;
+        if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+            errors.push('tables: Has to be an object of tables.');
+        } else {
+            Object.entries(tables).forEach(([name, table]) => {
+                const shape = vocabularyTables.find(
+                    (vocabularyTable) =>
+                        table && vocabularyTable.id === table.shape
+                );
+                if (!shape) {
+                    errors.push(
+                        'tables.' +
+                            name +
+                            '.shape: Has to be "days", "months" or "daysOfWeek".'
+                    );
+                    return;
+                }
+                if (
+                    !Array.isArray(table.items) ||
+                    table.items.length !== shape.items.length
+                ) {
+                    errors.push(
+                        'tables.' +
+                            name +
+                            '.items: Needs ' +
+                            shape.items.length +
+                            ' items.'
+                    );
+                    return;
+                }
+                table.items.forEach((item, index) => {
+                    if (
+                        !item ||
+                        !isText(item.english) ||
+                        !isText(item.kanji) ||
+                        !isText(item.hiragana)
+                    )
+                        errors.push(
+                            'tables.' +
+                                name +
+                                '.items[' +
+                                index +
+                                ']: Needs english, kanji and hiragana.'
+                        );
+                    else if (
+                        item.accepted !== undefined &&
+                        !(
+                            Array.isArray(item.accepted) &&
+                            item.accepted.every(isText)
+                        )
+                    )
+                        errors.push(
+                            'tables.' +
+                                name +
+                                '.items[' +
+                                index +
+                                '].accepted: Has to be a list of answers.'
+                        );
+                    else if (
+                        item.furigana !== undefined &&
+                        !(
+                            Array.isArray(item.furigana) &&
+                            item.furigana.length > 0 &&
+                            item.furigana.every(
+                                (group) =>
+                                    group &&
+                                    isText(group.kanji) &&
+                                    typeof group.hiragana === 'string'
+                            )
+                        )
+                    )
+                        errors.push(
+                            'tables.' +
+                                name +
+                                '.items[' +
+                                index +
+                                '].furigana: Has to be a list of { "kanji", "hiragana" } groups.'
+                        );
+                });
+            });
+        }
+
+        if (!Array.isArray(pack.questions) || pack.questions.length === 0)
+            return [
+                ...errors,
+                'questions: The pack needs at least one question.'
+            ];
+
+        const tableNames = [
+            ...vocabularyTables.map((table) => table.id),
+            ...Object.keys(tables || {})
+        ];
+        const ids = new Set();
+        pack.questions.forEach((question, index) => {
+            const path = 'questions[' + index + ']';
+            if (!question || typeof question !== 'object') {
+                errors.push(path + ': Has to be an object.');
+                return;
+            }
+            if (!isText(question.id) || !/^[a-z0-9-]+$/.test(question.id))
+                errors.push(
+                    path + '.id: Use lowercase letters, numbers and "-".'
+                );
+            else if (ids.has(question.id))
+                errors.push(path + '.id: "' + question.id + '" is used twice.');
+            ids.add(question.id);
+            if (!questionCategories.some(({ id }) => id === question.category))
+                errors.push(
+                    path +
+                        '.category: Has to be one of ' +
+                        questionCategories.map(({ id }) => id).join(', ') +
+                        '.'
+                );
+            if (
+                !Number.isInteger(question.difficulty) ||
+                question.difficulty < easiestDifficulty ||
+                question.difficulty > hardestDifficulty
+            )
+                errors.push(
+                    path +
+                        '.difficulty: Has to be ' +
+                        easiestDifficulty +
+                        ' - ' +
+                        hardestDifficulty +
+                        '.'
+                );
+            if (!tableNames.includes(question.table))
+                errors.push(
+                    path + '.table: Unknown table "' + question.table + '".'
+                );
+
+            /** @type {string[]} */
+            const offsets = [];
+            /**
+             * The tables used by the placeholders of the templates.
+             * @type {{key: string, name: string}[]}
+             */
+            const placeholders = [];
+            ['prompt', 'answer'].forEach((key) => {
+                if (!isText(question[key])) {
+                    errors.push(
+                        path + '.' + key + ': The template is missing.'
+                    );
+                    return;
+                }
+                parseTemplate(question[key]).forEach((part) => {
+                    if ('unit' in part) {
+                        const words = Object.prototype.hasOwnProperty.call(
+                            relativeWords,
+                            part.unit
+                        )
+                            ? relativeWords[part.unit]
+                            : null;
+                        if (
+                            !words ||
+                            !words.some(({ offset }) => offset === part.offset)
+                        )
+                            errors.push(
+                                path +
+                                    '.' +
+                                    key +
+                                    ': The offset has to be -2 - 2 and the unit day, week or month.'
+                            );
+                        offsets.push(part.offset + ' ' + part.unit);
+                    } else if (
+                        'name' in part &&
+                        part.name !== 'tense' &&
+                        !tableNames.includes(part.name)
+                    ) {
+                        errors.push(
+                            path +
+                                '.' +
+                                key +
+                                ': Unknown placeholder {' +
+                                part.name +
+                                '}.'
+                        );
+                    } else if ('name' in part && part.name !== 'tense') {
+                        placeholders.push({ key, name: part.name });
+                    }
+                });
+            });
+            if (new Set(offsets).size > 1)
+                errors.push(
+                    path + ': Every offset of a question has to be the same.'
+                );
+            /**
+             * Get the shape of a table (the name of a built-in table).
+             * @param {string} name The name of the table.
+             * @returns {string}
+             */
+            const shapeOf = (name) =>
+                tables && Object.prototype.hasOwnProperty.call(tables, name)
+                    ? tables[name].shape
+                    : name;
+            if (offsets.some((offset) => offset.endsWith(' month'))) {
+                if (shapeOf(question.table) !== 'months')
+                    errors.push(
+                        path +
+                            '.table: A question about a month has to ask for a month.'
+                    );
+                // The day asked about is the 1st, so only the month can be named.
+                placeholders
+                    .filter(({ name }) => shapeOf(name) !== 'months')
+                    .forEach(({ key, name }) =>
+                        errors.push(
+                            path +
+                                '.' +
+                                key +
+                                ': A question about a month can only name the month, not {' +
+                                name +
+                                '}.'
+                        )
+                    );
+            }
+        });
+        return errors;
+    };
+
+    /**
+     * Create a question of a pack.
+     * @param {QuestionPack} pack The pack.
+     * @param {PackQuestion} question The question.
+     * @returns {QuestionDefinition}
+     */
+    const packQuestion = (pack, question) => {
+        /**
+         * Get a table by its name (the tables of the pack come first).
+         * @param {string} name The name of the table.
+         * @returns {{shape: VocabularyTable, items: {english: string, kanji: string, hiragana: string, furigana: Furigana, accepted?: string[]}[]}}
+         */
+        const getTable = (name) => {
+            const table = pack.tables && pack.tables[name];
+            if (!table) {
+                const shape = vocabularyTables.find(({ id }) => id === name);
+                return { shape, items: shape.items };
+            }
+            return {
+                shape: vocabularyTables.find(({ id }) => id === table.shape),
+                items: table.items.map((item) => ({
+                    ...item,
+                    furigana:
+                        item.furigana || alignKana(item.kanji, item.hiragana)
+                }))
+            };
+        };
+
+        const table = getTable(question.table);
+        const prompt = parseTemplate(question.prompt);
+        const answer = parseTemplate(question.answer);
+        const relative = [...prompt, ...answer].find((part) => 'unit' in part);
+        const word =
+            relative &&
+            relativeWords[relative.unit].find(
+                ({ offset }) => offset === relative.offset
+            );
+
+        /**
+         * Get the day the question asks about.
+         * @param {Date} date The quiz date.
+         * @param {number} seed The seed for the question.
+         * @returns {{target: Date, isPast: boolean}}
+         */
+        const pickTarget = (date, seed) => {
+            if (!relative) return { target: addDays(date, 0), isPast: false };
+            if (relative.unit === 'week') {
+                const { targetDay, isPast } = pickWeekDay(date, seed, word);
+                return { target: targetDay, isPast };
+            }
+            return {
+                target:
+                    relative.unit === 'day'
+                        ? addDays(date, relative.offset)
+                        : addMonths(date, relative.offset),
+                isPast: relative.offset < 0
+            };
+        };
+
+        /**
+         * Get the item of a table for the day the question asks about.
+         * @param {{shape: VocabularyTable, items: {english: string, kanji: string, hiragana: string, furigana: Furigana, accepted?: string[]}[]}} from The table.
+         * @param {Date} target The day the question asks about.
+         * @returns {{value: number, item: {english: string, kanji: string, hiragana: string, furigana: Furigana, accepted?: string[]}}}
+         */
+        const getItem = (from, target) => {
+            const value = dateValues[from.shape.id](target);
+            return { value, item: from.items[value - from.shape.first] };
+        };
+
+        /**
+         * Get the accepted answers.
+         * @param {Date} date The quiz date.
+         * @param {number} seed The seed for the question.
+         * @returns {string[]}
+         */
+        const accepted = (date, seed) => {
+            const { item } = getItem(table, pickTarget(date, seed).target);
+            return [item.kanji, item.hiragana, ...(item.accepted || [])];
+        };
+
+        return {
+            id: 'pack-' + pack.id + ':' + question.id,
+            category: question.category,
+            difficulty: question.difficulty,
+            tables: [table.shape.id],
+            prompt: (date, seed) => {
+                const { target, isPast } = pickTarget(date, seed);
+                return prompt.map((part) => {
+                    if ('text' in part) return part.text;
+                    if ('unit' in part)
+                        return [{ kanji: word.kanji, hiragana: word.hiragana }];
+                    if (part.name === 'tense')
+                        return isPast ? 'でした' : 'です';
+                    return getItem(getTable(part.name), target).item.furigana;
+                });
+            },
+            vocabulary: (date, seed) => [
+                table.shape.id +
+                    ':' +
+                    getItem(table, pickTarget(date, seed).target).value
+            ],
+            accepted,
+            choices: (date, seed) => {
+                const { target, isPast } = pickTarget(date, seed);
+                const { item, value } = getItem(table, target);
+                return withTense(
+                    {
+                        correct: item.hiragana,
+                        distractors: [
+                            ...table.shape.distractors(value),
+                            ...table.shape
+                                .similar(value)
+                                .map(
+                                    (similar) =>
+                                        table.items[similar - table.shape.first]
+                                            .hiragana
+                                )
+                        ].filter(
+                            (distractor) =>
+                                !accepted(date, seed).includes(distractor)
+                        )
+                    },
+                    isPast
+                );
+            },
+            ...(table.shape.id === 'days' &&
+            (!relative || ['day', 'week'].includes(relative.unit))
+                ? { targetDate: (date, seed) => pickTarget(date, seed).target }
+                : {}),
+            solution: (date, seed) => {
+                const { target, isPast } = pickTarget(date, seed);
+                const { item } = getItem(table, target);
+                const english = answer
+                    .map((part) => {
+                        if ('text' in part) return part.text;
+                        if ('unit' in part) return word.english;
+                        if (part.name === 'tense') return isPast ? 'was' : 'is';
+                        return getItem(getTable(part.name), target).item
+                            .english;
+                    })
+                    .join('');
+                return [[english, item.english, item.furigana]];
+            }
+        };
+    };
+
+    /**
+     * The ids of the questions each imported pack registered (by the id of the pack).
+     * @type {Map<string, string[]>}
+     */
+    const packQuestionIds = new Map();
+
+    /**
+     * Import a question pack: the questions are added to the quiz (replacing the questions of an older version of the pack).
+     * @param {unknown} pack The parsed JSON file.
+     * @returns {{questions: QuestionGenerator[], errors: string[]}} The added questions, or the errors when the pack is not valid.
+     */
+    const importPack = (pack) => {
+        const errors = validatePack(pack);
+        if (errors.length > 0) return { questions: [], errors };
+
+        const oldIds = packQuestionIds.get(pack.id) || [];
+        unregisterQuestions((question) => oldIds.includes(question.id));
+        const questions = pack.questions.map((question) =>
+            registerQuestion(packQuestion(pack, question))
+        );
+        packQuestionIds.set(
+            pack.id,
+            questions.map((question) => question.id)
+        );
+        return { questions, errors: [] };
+    };
+
+    /**
+     * The localStorage key for the imported question packs.
+     */
+    const packsStorageKey = 'japanese-dates-quiz-practice:packs';
+
+    /**
+     * Load the imported question packs from localStorage.
+     * @returns {QuestionPack[]}
+     */
+    const loadPacks = () => {
+        try {
+            const packs = JSON.parse(
+                window.localStorage.getItem(packsStorageKey)
+            );
+            return Array.isArray(packs) ? packs : [];
+        } catch (_) {
+            // Storage is disabled or the saved packs are corrupted.
+            return [];
+        }
+    };
+
+    /**
+     * Save an imported question pack to localStorage (replacing an older version of the pack).
+     * @param {QuestionPack} pack The pack to save.
+     * @returns {void}
+     */
+    const savePack = (pack) => {
+        try {
+            window.localStorage.setItem(
+                packsStorageKey,
+                JSON.stringify([
+                    ...loadPacks().filter((saved) => saved.id !== pack.id),
+                    pack
+                ])
+            );
+        } catch (_) {
+            // Storage is disabled or full, the pack is only kept until the page is closed.
+        }
+    };
+
+    /**
+     * The localStorage key for the spaced repetition progress.
+     */
+    const srsStorageKey = 'japanese-dates-quiz-practice:srs';
+
+    /**
+     * Days until an item is due again for each box (Leitner system).
+     * A correct answer moves the item up a box, a wrong answer moves it back to the first box.
+     * @see https://en.wikipedia.org/wiki/Leitner_system
+     */
+    const srsIntervals = [0, 1, 2, 4, 8, 16, 32];
+
+    /**
+     * The progress of a question generator or vocabulary item.
+     * @typedef {{box: number, due: number, correct: number, incorrect: number}} SrsRecord
+     */
+
+    /**
+     * The saved progress, per question generator id and per vocabulary item.
+     * @typedef {{generators: {[id: string]: SrsRecord}, vocabulary: {[item: string]: SrsRecord}}} SrsProgress
+     */
+
+    /**
+     * Load the spaced repetition progress from localStorage.
+     * @returns {SrsProgress}
+     */
+    const loadSrsProgress = () => {
+        try {
+            const progress = JSON.parse(
+                window.localStorage.getItem(srsStorageKey)
+            );
+            if (progress && progress.generators && progress.vocabulary) {
+                return progress;
+            }
+        } catch (_) {
+            // Storage is disabled or the saved progress is corrupted.
+        }
+
+        return { generators: {}, vocabulary: {} };
+    };
+
+    /**
+     * Save the spaced repetition progress to localStorage.
+     * @param {SrsProgress} progress The progress to save.
+     * @returns {void}
+     */
+    const saveSrsProgress = (progress) => {
+        try {
+            window.localStorage.setItem(
+                srsStorageKey,
+                JSON.stringify(progress)
+            );
+        } catch (_) {
+            // Storage is disabled or full, the progress is only kept for this test.
+        }
+    };
+
+    /**
+     * Get the progress of an item (new items are due right away).
+     * @param {{[key: string]: SrsRecord}} records The records to look in.
+     * @param {string} key The key of the item.
+     * @returns {SrsRecord}
+     */
+    const getSrsRecord = (records, key) =>
+        records[key] || { box: 0, due: 0, correct: 0, incorrect: 0 };
+
+    /**
+     * Update the progress of an item after it was answered.
+     * @param {SrsRecord} record The current progress.
+     * @param {boolean} isCorrect If the answer was correct.
+     * @param {number} now The current time (in milliseconds).
+     * @returns {SrsRecord}
+     */
+    const updateSrsRecord = (record, isCorrect, now) => {
+        const box = isCorrect
+            ? Math.min(record.box + 1, srsIntervals.length - 1)
+            : 0;
+        return {
+            box,
+            due: now + srsIntervals[box] * 86400000,
+            correct: record.correct + (isCorrect ? 1 : 0),
+            incorrect: record.incorrect + (isCorrect ? 0 : 1)
+        };
+    };
+
+    /**
+     * Pick the questions for a test. Due questions come first (the ones missed the most before new ones),
+     * then the ones that are due the soonest. A question is due when it or any of its vocabulary is due.
+     * @param {QuestionGenerator[]} generators The questions to pick from.
+     * @param {Date} date The quiz date.
+     * @param {number} seed The test seed.
+     * @param {SrsProgress} progress The spaced repetition progress.
+     * @param {number} count The number of questions to pick.
+     * @returns {QuestionGenerator[]}
+     */
+    const pickQuestions = (generators, date, seed, progress, count) => {
+        const now = Date.now();
+
+        return generators
+            .map((generator) => {
+                const records = [
+                    getSrsRecord(progress.generators, generator.id),
+                    ...generator
+                        .vocabulary(date, questionSeed(seed, generator.id))
+                        .map((item) => getSrsRecord(progress.vocabulary, item))
+                ];
+                const due = Math.min(...records.map((record) => record.due));
+                return {
+                    generator,
+                    due,
+                    isDue: due <= now,
+                    incorrect: records.reduce(
+                        (total, record) => total + record.incorrect,
+                        0
+                    ),
+                    box: Math.min(...records.map((record) => record.box)),
+                    // Break ties randomly (but the same for the same seed).
+                    tieBreak: questionSeed(seed, generator.id)
+                };
+            })
+            .sort((a, b) => {
+                if (a.isDue !== b.isDue) return a.isDue ? -1 : 1;
+                if (a.isDue && a.incorrect !== b.incorrect) {
+                    return b.incorrect - a.incorrect;
+                }
+                if (!a.isDue && a.due !== b.due) return a.due - b.due;
+                return a.box - b.box || a.tieBreak - b.tieBreak;
+            })
+            .slice(0, count)
+            .map((entry) => entry.generator);
+    };
+
+    /**
+     * Record the graded answers of a test in the spaced repetition progress.
+     * Questions that were not answered are skipped.
+     * @param {SrsProgress} progress The progress to update.
+     * @param {QuestionGenerator[]} questions The questions on the test.
+     * @param {number[]} seeds The seeds of the questions.
+     * @param {Date} date The quiz date.
+     * @param {{answered: boolean, correct: boolean}[]} results The graded answers.
+     * @returns {SrsProgress}
+     */
+    const recordSrsResults = (progress, questions, seeds, date, results) => {
+        const now = Date.now();
+        const generators = { ...progress.generators };
+        const vocabulary = { ...progress.vocabulary };
+
+        questions.forEach((question, index) => {
+            const result = results[index];
+            if (!result || !result.answered) return;
+
+            generators[question.id] = updateSrsRecord(
+                getSrsRecord(generators, question.id),
+                result.correct,
+                now
+            );
+            for (const item of question.vocabulary(date, seeds[index])) {
+                vocabulary[item] = updateSrsRecord(
+                    getSrsRecord(vocabulary, item),
+                    result.correct,
+                    now
+                );
+            }
+        });
+
+        return { generators, vocabulary };
+    };
+
+    /**
+     * The localStorage key for the settings.
+     */
+    const settingsStorageKey = 'japanese-dates-quiz-practice:settings';
+
+    /**
+     * The range of years the quiz date can be picked from (every year, and the year before it, is fully in the Meiji era or later).
+     */
+    const earliestYear = 1870;
+    const latestYear = 2100;
+
+    /**
+     * The maximum number of versions in a printed worksheet (one letter each).
+     */
+    const maxWorksheetVariants = 26;
+
+    /**
+     * The settings of the quiz.
+     * - examMinutes: The time limit of an exam.
+     * - examCalendarSeconds: How long the days of the calendar are shown in an exam (0 hides them).
+     * - worksheetVariants: The number of versions (each with its own seed) in a printed worksheet.
+     * - promptFurigana: Show furigana on the questions (for beginners).
+     * - maxDifficulty: The hardest questions that are picked (see QuestionDefinition).
+     * @typedef {{categories: string[], maxDifficulty: number, questionCount: number, minYear: number, maxYear: number, examMinutes: number, examCalendarSeconds: number, worksheetVariants: number, promptFurigana: boolean}} Settings
+     */
+
+    /**
+     * The settings used when nothing is saved.
+     * @type {Settings}
+     */
+    const defaultSettings = {
+        categories: questionCategories.map((category) => category.id),
+        maxDifficulty: hardestDifficulty,
+        questionCount: 20,
+        minYear: 1989,
+        maxYear: 2049,
+        examMinutes: 10,
+        examCalendarSeconds: 15,
+        worksheetVariants: 1,
+        promptFurigana: false
+    };
+
+    /**
+     * Fill in missing settings with the defaults and clamp them to valid values.
+     * @param {Partial<Settings>} settings The settings to normalize.
+     * @returns {Settings}
+     */
+    const normalizeSettings = (settings) => {
+        const categories = Array.isArray(settings.categories)
+            ? settings.categories.filter((id) =>
+                  questionCategories.some((category) => category.id === id)
+              )
+            : [];
+
+        /**
+         * Clamp a number (or use the fallback when it is not a number).
+         * @param {unknown} value The value to clamp.
+         * @param {number} min The minimum value.
+         * @param {number} max The maximum value.
+         * @param {number} fallback The value to use when the value is not a number.
+         * @returns {number}
+         */
+        const clamp = (value, min, max, fallback) =>
+            Number.isFinite(value)
+                ? Math.min(Math.max(Math.round(value), min), max)
+                : fallback;
+
+        const minYear = clamp(
+            settings.minYear,
+            earliestYear,
+            latestYear,
+            defaultSettings.minYear
+        );
+        const maxYear = clamp(
+            settings.maxYear,
+            earliestYear,
+            latestYear,
+            defaultSettings.maxYear
+        );
+
+        return {
+            categories:
+                categories.length > 0 ? categories : defaultSettings.categories,
+            maxDifficulty: clamp(
+                settings.maxDifficulty,
+                easiestDifficulty,
+                hardestDifficulty,
+                defaultSettings.maxDifficulty
+            ),
+            questionCount: clamp(
+                settings.questionCount,
+                1,
+                questionRegistry.length,
+                defaultSettings.questionCount
+            ),
+            minYear: Math.min(minYear, maxYear),
+            maxYear: Math.max(minYear, maxYear),
+            examMinutes: clamp(
+                settings.examMinutes,
+                1,
+                120,
+                defaultSettings.examMinutes
+            ),
+            examCalendarSeconds: clamp(
+                settings.examCalendarSeconds,
+                0,
+                600,
+                defaultSettings.examCalendarSeconds
+            ),
+            worksheetVariants: clamp(
+                settings.worksheetVariants,
+                1,
+                maxWorksheetVariants,
+                defaultSettings.worksheetVariants
+            ),
+            promptFurigana:
+                typeof settings.promptFurigana === 'boolean'
+                    ? settings.promptFurigana
+                    : defaultSettings.promptFurigana
+        };
+    };
+
+    /**
+     * Load the settings from localStorage.
+     * @returns {Settings}
+     */
+    const loadSettings = () => {
+        try {
+            return normalizeSettings(
+                JSON.parse(window.localStorage.getItem(settingsStorageKey)) ||
+                    {}
+            );
+        } catch (_) {
+            // Storage is disabled or the saved settings are corrupted.
+            return normalizeSettings({});
+        }
+    };
+
+    /**
+     * Save the settings to localStorage.
+     * @param {Settings} settings The settings to save.
+     * @returns {void}
+     */
+    const saveSettings = (settings) => {
+        try {
+            window.localStorage.setItem(
+                settingsStorageKey,
+                JSON.stringify(settings)
+            );
+        } catch (_) {
+            // Storage is disabled or full, the settings are only kept until the page is closed.
+        }
+    };
+
+    /**
+     * The localStorage key for the display options.
+     */
+    const displayStorageKey = 'japanese-dates-quiz-practice:display';
+
+    /**
+     * How the answers are shown (toggled from the toolbar, without creating a new test).
+     * - furigana: Show the readings above the kanji.
+     * - romaji: Show the romaji of the answers (for learners who can't read kana yet).
+     * - listening: A listening quiz, the questions are only read aloud (when a Japanese voice is available).
+     * - multipleChoice: Answer by picking one of 4 options instead of typing (a recognition step before full recall).
+     * - threeMonths: Show the months before and after the month on the calendar (for questions that cross month boundaries).
+     * @typedef {{furigana: boolean, romaji: boolean, listening: boolean, multipleChoice: boolean, threeMonths: boolean}} DisplayOptions
+     */
+
+    /**
+     * Load the display options from localStorage.
+     * @returns {DisplayOptions}
+     */
+    const loadDisplayOptions = () => {
+        let saved = {};
+        try {
+            saved =
+                JSON.parse(window.localStorage.getItem(displayStorageKey)) ||
+                {};
+        } catch (_) {
+            // Storage is disabled or the saved options are corrupted.
+        }
+
+        return {
+            furigana: saved.furigana !== false,
+            romaji: saved.romaji === true,
+            listening: saved.listening === true,
+            multipleChoice: saved.multipleChoice === true,
+            threeMonths: saved.threeMonths === true
+        };
+    };
+
+    /**
+     * Save the display options to localStorage.
+     * @param {DisplayOptions} options The options to save.
+     * @returns {void}
+     */
+    const saveDisplayOptions = (options) => {
+        try {
+            window.localStorage.setItem(
+                displayStorageKey,
+                JSON.stringify(options)
+            );
+        } catch (_) {
+            // Storage is disabled or full, the options are only kept until the page is closed.
+        }
+    };
+
+    /**
+     * Generate a random date in a range of years.
+     * @param {function(): number} random The random number generator to use.
+     * @param {number} minYear The first year (inclusive).
+     * @param {number} maxYear The last year (inclusive).
+     * @returns {Date}
+     */
+    const generateRandomDate = (random, minYear, maxYear) => {
+        // Random year (the default range is the heisei era 1st year to like ~30 years in the future)
+        const year = getRandomInt(minYear, maxYear, random());
+        // Any day of the year (the questions handle month and year boundaries).
+        const daysInYear = Math.round(
+            (new Date(year + 1, 0, 1) - new Date(year, 0, 1)) / 86400000
+        );
+        return new Date(year, 0, 1 + getRandomInt(0, daysInYear - 1, random()));
+    };
+
+    /**
+     * A test that is ready to be shown: the quiz date, the questions (in order) and their seeds.
+     * @typedef {{test: TestOptions, date: Date, questions: QuestionGenerator[], seeds: number[]}} AssembledTest
+     */
+
+    /**
+     * Assemble a test from its options. When the test has no question ids, they are picked with spaced repetition.
+     * @param {TestOptions} test The test options.
+     * @param {Settings} settings The settings used to pick the questions.
+     * @param {SrsProgress} progress The spaced repetition progress used to pick the questions.
+     * @returns {AssembledTest} The assembled test (its options always have the question ids).
+     */
+    const assembleTest = (test, settings, progress) => {
+        const random = createRandom(test.seed);
+
+        // Randomize the date.
+        const date = generateRandomDate(random, test.minYear, test.maxYear);
+
+        // And the time on the clock (with its own seed, so the rest of the test is the same as before the clock).
+        const time = pickTime(questionSeed(test.seed, 'clock'), 1);
+        date.setHours(time.hour, time.minute);
+
+        // The registry keeps its order, so the shuffle is the same for everyone with the link.
+        let pool = test.questionIds
+            ? findQuestions({ ids: test.questionIds, date })
+            : [];
+        if (pool.length === 0) {
+            const picked = pickQuestions(
+                findQuestions({
+                    categories: settings.categories,
+                    maxDifficulty: settings.maxDifficulty,
+                    date
+                }),
+                date,
+                test.seed,
+                progress,
+                settings.questionCount
+            );
+            pool = findQuestions().filter((question) =>
+                picked.includes(question)
+            );
+        }
+
+        const questions = shuffle(pool, random);
+        return {
+            test: {
+                ...test,
+                questionIds: pool.map((generator) => generator.id)
+            },
+            date,
+            questions,
+            seeds: questions.map((question) =>
+                questionSeed(test.seed, question.id)
+            )
+        };
+    };
+
+    /**
+     * The formats a quiz can be printed in (see formatQuiz).
+     */
+    const quizFormats = ['text', 'markdown', 'json'];
+
+    /**
+     * A test as plain data, without elements (for the command line and scripts).
+     * - link: The URL hash of the test, it opens the same test in the browser.
+     * - date: The quiz date and time (YYYY-MM-DDTHH:MM).
+     * - prompt: The question (with the readings of the kanji in brackets in reading).
+     * - answers: Every way to answer, like the answer key (the question in English and the answer, then the Japanese and its readings).
+     * - choices: The options in multiple choice mode, correctChoice is the index of the correct one.
+     * @typedef {{seed: string, link: string, date: string, dateEnglish: string, questions: {id: string, category: string, difficulty: number, prompt: string, reading: string, answers: {english: string[], japanese: string, hiragana: string, romaji: string}[], accepted: string[], choices: string[], correctChoice: number}[]}} Quiz
+     */
+
+    /**
+     * The English name of a date (e.g. 29th of September 2031).
+     * @param {Date} date The date.
+     * @returns {string}
+     */
+    const dateEnglish = (date) =>
+        toOrdinal(date.getDate()) +
+        ' of ' +
+        months[date.getMonth()].english +
+        ' ' +
+        date.getFullYear();
+
+    /**
+     * Get the text of a question or an answer, optionally with the readings of the kanji in brackets (e.g. 一昨日(おととい)).
+     * Elements (e.g. a clock) are described in square brackets.
+     * @param {PromptParts} parts The parts of the text.
+     * @param {boolean} withReadings Add the readings of the kanji.
+     * @returns {string}
+     */
+    const partsToText = (parts, withReadings) =>
+        parts
+            .map((part) => {
+                if (part instanceof BoundryElement) {
+                    return (
+                        '[' +
+                        (part.attributes['aria-label'] || part.tagName) +
+                        '] '
+                    );
+                }
+                const furigana =
+                    typeof part === 'string' ? annotate(part) : part;
+                return furigana
+                    .map((group) =>
+                        withReadings && group.hiragana
+                            ? group.kanji + '(' + group.hiragana + ')'
+                            : group.kanji
+                    )
+                    .join('');
+            })
+            .join('');
+
+    /**
+     * Create a test as plain data. The questions are picked like the first test in a new browser (without progress).
+     * @param {TestOptions} test The test options.
+     * @param {Settings} settings The settings used to pick the questions.
+     * @returns {Quiz}
+     */
+    const createQuiz = (test, settings) => {
+        const assembled = assembleTest(test, settings, {
+            generators: {},
+            vocabulary: {}
+        });
+        const { date, questions, seeds } = assembled;
+
+        return {
+            seed: test.seed.toString(36),
+            link: testToHash(assembled.test),
+            date:
+                dateKey(date) +
+                'T' +
+                date.getHours().toString().padStart(2, '0') +
+                ':' +
+                date.getMinutes().toString().padStart(2, '0'),
+            dateEnglish:
+                daysOfWeek[date.getDay()].english +
+                ', ' +
+                dateEnglish(date) +
+                ', ' +
+                readTime(date.getHours(), date.getMinutes()).english,
+            questions: questions.map((question, index) => {
+                const prompt = question.prompt(date, seeds[index]);
+                const { options, correctIndex } = pickChoices(
+                    question.choices(date, seeds[index]),
+                    seeds[index]
+                );
+                return {
+                    id: question.id,
+                    category: question.category,
+                    difficulty: question.difficulty,
+                    prompt: partsToText(prompt, false),
+                    reading: partsToText(prompt, true),
+                    answers: question
+                        .solution(date, seeds[index])
+                        .map((line) => {
+                            const japanese = line[line.length - 1];
+                            return {
+                                english: line.slice(0, -1),
+                                japanese: partsToText([japanese], false),
+                                hiragana: furiganaReading(japanese),
+                                romaji: toRomaji(furiganaReading(japanese))
+                            };
+                        }),
+                    accepted: question.accepted(date, seeds[index]),
+                    choices: options,
+                    correctChoice: correctIndex
+                };
+            })
+        };
+    };
+
+    /**
+     * Print a quiz and its answer key as plain text, Markdown or JSON.
+     * @param {Quiz} quiz The quiz.
+     * @param {string} format One of quizFormats.
+     * @param {{readings: boolean, choices: boolean}} options Show the readings of the questions, and the options in multiple choice mode.
+     * @returns {string}
+     */
+    const formatQuiz = (quiz, format, options) => {
+        if (format === 'json') return JSON.stringify(quiz, null, 4) + '\n';
+        if (!quizFormats.includes(format)) {
+            throw new RangeError(
+                'Unknown format "' +
+                    format +
+                    '", use one of ' +
+                    quizFormats.join(', ')
+            );
+        }
+
+        const markdown = format === 'markdown';
+        const letters = 'ABCD';
+        const heading = (text) => (markdown ? '## ' + text : text);
+        const numbered = (index, text) =>
+            (markdown ? index + 1 + '. ' : (index + 1 + '.').padEnd(4)) + text;
+
+        const questions = quiz.questions.flatMap((question, index) => [
+            numbered(
+                index,
+                options.readings ? question.reading : question.prompt
+            ),
+            ...(options.choices
+                ? question.choices.map(
+                      (choice, choiceIndex) =>
+                          '    ' +
+                          (markdown ? '- ' : '') +
+                          letters[choiceIndex] +
+                          ') ' +
+                          choice
+                  )
+                : [])
+        ]);
+        const answers = quiz.questions.map((question, index) =>
+            numbered(
+                index,
+                question.answers
+                    .map((answer) =>
+                        [
+                            ...answer.english,
+                            answer.japanese === answer.hiragana
+                                ? answer.japanese + ' (' + answer.romaji + ')'
+                                : answer.japanese +
+                                  ' (' +
+                                  answer.hiragana +
+                                  ', ' +
+                                  answer.romaji +
+                                  ')'
+                        ].join(' → ')
+                    )
+                    .join(' OR ') +
+                    (options.choices
+                        ? ' [' + letters[question.correctChoice] + ']'
+                        : '')
+            )
+        );
+
+        return (
+            [
+                markdown ? '# 日本語日付試し練習' : '日本語日付試し練習',
+                '',
+                (markdown ? '**Date:** ' : 'Date: ') + quiz.dateEnglish,
+                markdown
+                    ? '**Seed:** `' + quiz.seed + '`'
+                    : 'Seed: ' + quiz.seed,
+                markdown
+                    ? '**Link:** `' + quiz.link + '`'
+                    : 'Link: ' + quiz.link,
+                '',
+                heading('Questions'),
+                '',
+                ...questions,
+                '',
+                heading('Answer Key'),
+                '',
+                ...answers
+            ].join('\n') + '\n'
+        );
+    };
+
+    /**
+     * A printable worksheet and its answer key as a standalone HTML page (rendered without a DOM).
+     * @param {TestOptions} test The test on the worksheet.
+     * @param {Settings} settings The settings used to pick the questions.
+     * @param {string} css The styles of the page (e.g. the text of style.css).
+     * @returns {string}
+     */
+    const worksheetToHtml = (test, settings, css) => {
+        const assembled = assembleTest(test, settings, {
+            generators: {},
+            vocabulary: {}
+        });
+        return (
+            '<!DOCTYPE html>\n' +
+            renderToString(
+                h('html', '', { lang: 'ja' }, [
+                    h('head', '', {}, [
+                        h('meta', '', { charset: 'UTF-8' }, []),
+                        h('title', '', {}, [
+                            '日本語日付試し練習 • ' +
+                                dateEnglish(assembled.date)
+                        ]),
+                        h('style', '', {}, [css])
+                    ]),
+                    h('body', '', {}, [
+                        h(
+                            'div',
+                            'static-worksheet',
+                            {},
+                            Worksheet(assembled, 'Version A')
+                        )
+                    ])
+                ])
+            ) +
+            '\n'
+        );
+    };
+
+    /**
+     * Get a list of weeks for a given month.
+     * The first and last weeks are filled with the days of the months before and after it.
+     * @param {Date} date The date to get the weeks for.
+     * @returns {Date[][]}
+     */
+    const getWeeks = (date) => {
+        const firstDay = new Date(date.getFullYear(), date.getMonth(), 1);
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+
+        // Create a list of weeks, with a sub array of days (starting on Sunday).
+        /** @type {Date[][]} */
+        const weeks = [];
+        let sunday = addDays(firstDay, -firstDay.getDay());
+        while (sunday <= lastDay) {
+            weeks.push(getWeekDays(sunday, 0));
+            sunday = addDays(sunday, 7);
+        }
+
+        return weeks;
+    };
+
+    /**
+     * Get a key for a day that is the same for every Date object of the day (e.g. 2024-04-09).
+     * @param {Date} date The day to get the key for.
+     * @returns {string}
+     */
+    const dateKey = (date) =>
+        [
+            date.getFullYear(),
+            (date.getMonth() + 1).toString().padStart(2, '0'),
+            date.getDate().toString().padStart(2, '0')
+        ].join('-');
+
+    /**
+     * An analogue clock (with AM / PM, as the hands are the same twice a day).
+     * @param {number} hour The hour (0 - 23).
+     * @param {number} minute The minute (0 - 59).
+     * @returns {BoundryElement}
+     */
+    const AnalogClock = (hour, minute) =>
+        h(
+            'span',
+            'clock clock--analog',
+            { role: 'img', 'aria-label': readTime(hour, minute).english },
+            [
+                ...[12, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11].map((number) =>
+                    h(
+                        'span',
+                        'clock--number',
+                        { style: '--angle: ' + number * 30 + 'deg' },
+                        [number.toString()]
+                    )
+                ),
+                h('span', 'clock--period', {}, [hour < 12 ? 'AM' : 'PM']),
+                h(
+                    'span',
+                    'clock--hand clock--hand-hour',
+                    {
+                        style:
+                            '--angle: ' +
+                            ((hour % 12) * 30 + minute / 2) +
+                            'deg'
+                    },
+                    []
+                ),
+                h(
+                    'span',
+                    'clock--hand clock--hand-minute',
+                    { style: '--angle: ' + minute * 6 + 'deg' },
+                    []
+                ),
+                h('span', 'clock--center', {}, [])
+            ]
+        );
+
+    /**
+     * A digital clock (24 hour, e.g. 14:05).
+     * @param {number} hour The hour (0 - 23).
+     * @param {number} minute The minute (0 - 59).
+     * @returns {BoundryElement}
+     */
+    const DigitalClock = (hour, minute) =>
+        h(
+            'span',
+            'clock clock--digital',
+            { role: 'img', 'aria-label': readTime(hour, minute).english },
+            [
+                hour.toString().padStart(2, '0') +
+                    ':' +
+                    minute.toString().padStart(2, '0')
+            ]
+        );
+
+    /**
+     * The days of one month in a calendar. The public holidays are marked, with their names in the tooltip.
+     * @param {Date} month The month to display.
+     * @param {Date} date The date of the quiz (highlighted).
+     * @param {boolean} isSide If the month is next to the shown month (only shown in the three month strip).
+     * @param {(function(Date): void) | null} onPickDay Called when a day is clicked, the days are only buttons when this is set.
+     * @returns {BoundryElement}
+     */
+    const CalendarMonth = (month, date, isSide, onPickDay) => {
+        // The public holidays (the first and last weeks can be in the years before and after it).
+        const holidays = [
+            ...getHolidays(month.getFullYear() - 1),
+            ...getHolidays(month.getFullYear()),
+            ...getHolidays(month.getFullYear() + 1)
+        ];
+
+        return h(
+            'div',
+            'calendar--month' + (isSide ? ' calendar--month-side' : ''),
+            { key: month.getFullYear() + '-' + month.getMonth() },
+            [
+                h('p', 'calendar--month-title', {}, [
+                    months[month.getMonth()].english + ' ' + month.getFullYear()
+                ]),
+                h('div', 'calendar--weekdays', {}, [
+                    h('p', 'calendar--weekday', {}, ['Sun']),
+                    h('p', 'calendar--weekday', {}, ['Mon']),
+                    h('p', 'calendar--weekday', {}, ['Tue']),
+                    h('p', 'calendar--weekday', {}, ['Wed']),
+                    h('p', 'calendar--weekday', {}, ['Thu']),
+                    h('p', 'calendar--weekday', {}, ['Fri']),
+                    h('p', 'calendar--weekday', {}, ['Sat'])
+                ]),
+                h(
+                    'div',
+                    'calendar--days',
+                    {},
+                    getWeeks(month).map((week) => {
+                        return h(
+                            'div',
+                            'calendar--week',
+                            {},
+                            week.map((day) => {
+                                const holiday = holidays.find(
+                                    (holiday) =>
+                                        dateKey(holiday.date) === dateKey(day)
+                                );
+                                const className =
+                                    'calendar--day' +
+                                    (dateKey(day) === dateKey(date)
+                                        ? ' calendar--day-active'
+                                        : '') +
+                                    (day.getMonth() !== month.getMonth()
+                                        ? ' calendar--day-outside'
+                                        : '') +
+                                    (holiday ? ' calendar--day-holiday' : '');
+                                const label =
+                                    months[day.getMonth()].english +
+                                    ' ' +
+                                    toOrdinal(day.getDate()) +
+                                    (holiday
+                                        ? ', ' +
+                                          holiday.kanji +
+                                          ' (' +
+                                          holiday.english +
+                                          ')'
+                                        : '');
+
+                                if (!onPickDay) {
+                                    return h(
+                                        'p',
+                                        className,
+                                        {
+                                            'data-date': dateKey(day),
+                                            ...(holiday ? { title: label } : {})
+                                        },
+                                        [day.getDate()]
+                                    );
+                                }
+
+                                return h(
+                                    'button',
+                                    className + ' calendar--day-button',
+                                    {
+                                        type: 'button',
+                                        'data-date': dateKey(day),
+                                        'aria-label': label,
+                                        ...(holiday ? { title: label } : {}),
+                                        onClick: () => onPickDay(day)
+                                    },
+                                    [day.getDate()]
+                                );
+                            })
+                        );
+                    })
+                )
+            ]
+        );
+    };
+
+    /**
+     * A calendar component. The month of the date is shown with the months before and after it
+     * (shown in the three month strip), and can be moved with the previous / next buttons.
+     * @param {Date} date The date to display.
+     * @param {({current: HTMLElement} | null)} bodyRef A reference to the days of the calendar (used to hide them in exams). (Optional)
+     * @param {(function(Date): void) | null} onPickDay Called when a day is clicked, the days are only buttons when this is set. (Optional)
+     */
+    const Calendar = (date, bodyRef = null, onPickDay = null) => {
+        const monthsRef = bodyRef || createRef();
+        let monthOffset = 0;
+
+        /**
+         * Show the months around the month that is moved to.
+         * @param {number} amount The number of months to move (0 to only render them).
+         * @returns {void}
+         */
+        const moveMonth = (amount) => {
+            monthOffset += amount;
+            if (!monthsRef.current) return;
+
+            patch(
+                monthsRef.current,
+                [-1, 0, 1].map((side) =>
+                    CalendarMonth(
+                        addMonths(date, monthOffset + side),
+                        date,
+                        side !== 0,
+                        onPickDay
+                    )
+                )
+            );
+            applyCalendarMarks(monthsRef.current);
+        };
+
+        return h('div', 'calendar', {}, [
+            h('div', 'calendar--header', {}, [
+                h(
+                    'button',
+                    'calendar--nav',
+                    {
+                        type: 'button',
+                        'aria-label': 'Previous month',
+                        title: 'Previous month',
+                        onClick: () => moveMonth(-1)
+                    },
+                    ['‹']
+                ),
+                h('p', 'calendar--month-year', {}, [
+                    toOrdinal(date.getDate()) +
+                        ' of ' +
+                        months[date.getMonth()].english +
+                        ' ' +
+                        date.getFullYear()
+                ]),
+                h(
+                    'button',
+                    'calendar--nav',
+                    {
+                        type: 'button',
+                        'aria-label': 'Next month',
+                        title: 'Next month',
+                        onClick: () => moveMonth(1)
+                    },
+                    ['›']
+                )
+            ]),
+            h(
+                'div',
+                'calendar--body',
+                {},
+                [-1, 0, 1].map((side) =>
+                    CalendarMonth(
+                        addMonths(date, side),
+                        date,
+                        side !== 0,
+                        onPickDay
+                    )
+                ),
+                monthsRef
+            )
+        ]);
+    };
+
+    /**
+     * Mark the days saved on a calendar by `markCalendarDays` (again after moving to another month).
+     * @param {HTMLElement} calendarBody The days of the calendar.
+     * @returns {void}
+     */
+    const applyCalendarMarks = (calendarBody) => {
+        const { target = '', picked = '' } = calendarBody.dataset;
+        calendarBody.querySelectorAll('[data-date]').forEach((day) => {
+            day.classList.toggle(
+                'calendar--day-target',
+                day.dataset.date === target
+            );
+            day.classList.toggle(
+                'calendar--day-picked',
+                day.dataset.date === picked
+            );
+        });
+    };
+
+    /**
+     * Mark the correct day and the picked day of a question on a calendar.
+     * @param {HTMLElement} calendarBody The days of the calendar.
+     * @param {Date | null} target The correct day (null to not mark it).
+     * @param {Date | null} picked The day that was picked (null to not mark it).
+     * @returns {void}
+     */
+    const markCalendarDays = (calendarBody, target, picked) => {
+        calendarBody.dataset.target = target ? dateKey(target) : '';
+        calendarBody.dataset.picked = picked ? dateKey(picked) : '';
+        applyCalendarMarks(calendarBody);
+    };
+
+    /**
+     * Find the Japanese voice used to read the questions and answers aloud.
+     * @returns {SpeechSynthesisVoice | null} The voice, or null when speech is not supported or no Japanese voice is installed.
+     */
+    const findJapaneseVoice = () => {
+        if (!('speechSynthesis' in window)) return null;
+
+        const voices = window.speechSynthesis
+            .getVoices()
+            .filter((voice) => /^ja([-_]|$)/i.test(voice.lang));
+        return (
+            voices.find((voice) => /^ja[-_]jp$/i.test(voice.lang)) ||
+            voices[0] ||
+            null
+        );
+    };
+
+    /**
+     * Read a Japanese text aloud (stopping anything that is still being read).
+     * @param {string} text The text to read (kana reads more reliably than kanji).
+     * @returns {boolean} If the text is being read (false when no Japanese voice is available).
+     */
+    const speak = (text) => {
+        const voice = findJapaneseVoice();
+        if (!voice) return false;
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+        return true;
+    };
+
+    /**
+     * Collect the readings (see Ruby) in a tree of elements, to read it aloud.
+     * @param {(BoundryElement | string | HTMLElement)[]} elements The elements to collect the readings from.
+     * @returns {string} The readings, separated by "、".
+     */
+    const collectReadings = (elements) =>
+        elements
+            .flatMap((element) => {
+                if (!(element instanceof BoundryElement)) return [];
+                if (element.attributes['data-reading'])
+                    return [element.attributes['data-reading']];
+                return [collectReadings(element.children)];
+            })
+            .filter((reading) => reading !== '')
+            .join('、');
+
+    /**
+     * A button that reads a Japanese text aloud (hidden when no Japanese voice is available).
+     * @param {string} text The text to read.
+     * @param {string} label The accessible label of the button.
+     * @returns {BoundryElement}
+     */
+    const SpeakButton = (text, label) =>
+        h(
+            'button',
+            'speak-button',
+            {
+                type: 'button',
+                'data-speak': text,
+                'aria-label': label,
+                title: label
+            },
+            ['🔊']
+        );
+
+    /**
+     * A list of questions on the test. Note, this has three return results, a function to show or hide quesion answers
+     * and a function to answer with a day picked on the calendar.
+     * The list is drawn from its state and patched when it changes, so typed answers and the focus are kept.
+     * @param {QuestionGenerator[]} questions The list of questions (randomized).
+     * @param {number[]} seeds The seeds for the questions / answers.
+     * @param {Date} date The date to display.
+     * @param {boolean} multipleChoice If the questions are answered by picking one of 4 options. (Optional)
+     * @param {(function(Date | null, Date | null): void) | null} onMarkDays Called with the correct and picked day to mark on the calendar. (Optional)
+     * @returns {[BoundryElement, function(boolean): {answered: boolean, correct: boolean}[], function(Date): void]}
+     */
+    const Questions = (
+        questions,
+        seeds,
+        date,
+        multipleChoice = false,
+        onMarkDays = null
+    ) => {
+        const listRef = createRef();
+        /** @type {{current: HTMLInputElement}[]} */
+        const inputRefs = questions.map(() => createRef());
+
+        /**
+         * The prompt of each question.
+         * @type {(BoundryElement | string)[][]}
+         */
+        const prompts = questions.map((question, index) =>
+            question.createQuestion(date, seeds[index])
+        );
+        /**
+         * The options of each question (null when typing the answers).
+         * @type {({options: string[], correctIndex: number} | null)[]}
+         */
+        const pickedChoices = questions.map((question, index) =>
+            multipleChoice
+                ? pickChoices(
+                      question.choices(date, seeds[index]),
+                      seeds[index]
+                  )
+                : null
+        );
+        /**
+         * The day picked on the calendar for each question (undefined when typed or not picked).
+         * @type {(Date | undefined)[]}
+         */
+        const picks = [];
+        /** The question that a picked day answers (null when no date question is focused). */
+        let activeIndex = null;
+
+        /**
+         * If the answers are shown, the picked option of each question (undefined when not picked yet)
+         * and the graded answers (while the answers are shown).
+         * @type {State<{isShown: boolean, chosen: (number | undefined)[], results: {answered: boolean, correct: boolean}[]}>}
+         */
+        const state = createState({ isShown: false, chosen: [], results: [] });
+
+        /**
+         * Mark the days of the active question on the calendar (the correct day only once the answers are shown).
+         * @returns {void}
+         */
+        const markDays = () => {
+            if (!onMarkDays) return;
+            if (activeIndex === null) {
+                onMarkDays(null, null);
+                return;
+            }
+
+            onMarkDays(
+                state.get().isShown
+                    ? questions[activeIndex].targetDate(
+                          date,
+                          seeds[activeIndex]
+                      )
+                    : null,
+                picks[activeIndex] || null
+            );
+        };
+
+        /**
+         * Answer the focused date question with a day picked on the calendar.
+         * @param {Date} day The picked day.
+         * @returns {void}
+         * @public
+         */
+        const pickDate = (day) => {
+            if (multipleChoice || state.get().isShown || activeIndex === null) {
+                return;
+            }
+            const input = inputRefs[activeIndex].current;
+            if (!input) return;
+
+            input.value = dateAnswer(day, date).kanji;
+            picks[activeIndex] = day;
+            markDays();
+        };
+
+        /**
+         * Pick an option of a question, it is graded at once and can't be changed.
+         * @param {number} index The index of the question.
+         * @param {number} option The index of the option.
+         * @returns {void}
+         */
+        const chooseAnswer = (index, option) => {
+            if (
+                !pickedChoices[index] ||
+                state.get().chosen[index] !== undefined
+            ) {
+                return;
+            }
+
+            state.set((current) => {
+                const chosen = current.chosen.slice();
+                chosen[index] = option;
+                return { ...current, chosen };
+            });
+        };
+
+        /**
+         * Show or hide the answers to the questions.
+         * When shown, the typed answers are graded and locked.
+         * @param {boolean} show If the answers should be shown.
+         * @returns {{answered: boolean, correct: boolean}[]} The graded answers (empty when hiding).
+         * @public
+         */
+        const showHideAnswers = (show) => {
+            const { chosen } = state.get();
+
+            // Grade the typed answers (or the picked options).
+            const results = show
+                ? questions.map((question, i) => {
+                      if (pickedChoices[i]) {
+                          return {
+                              answered: chosen[i] !== undefined,
+                              correct:
+                                  chosen[i] === pickedChoices[i].correctIndex
+                          };
+                      }
+
+                      const input = inputRefs[i].current;
+                      const typedAnswer = input ? input.value : '';
+                      return {
+                          answered: typedAnswer.trim() !== '',
+                          correct: isCorrectAnswer(
+                              typedAnswer,
+                              question.accepted(date, seeds[i])
+                          )
+                      };
+                  })
+                : [];
+
+            state.set({ isShown: show, chosen, results });
+            markDays();
+            return results;
+        };
+
+        /**
+         * The answer of a question, with if it was answered correctly.
+         * @param {number} index The index of the question.
+         * @param {{answered: boolean, correct: boolean}} result The graded answer.
+         * @returns {BoundryElement}
+         */
+        const Answer = (index, { answered, correct }) => {
+            const answer = questions[index].answer(date, seeds[index]);
+            const answerReading = collectReadings(answer);
+            let resultText = '✗ Incorrect';
+            if (correct) resultText = '✓ Correct';
+            else if (!answered) resultText = '✗ Not answered';
+
+            return h('blockquote', 'question--answers', {}, [
+                h('div', 'question--answer-effect', {}, []),
+                h('div', 'question--answer', {}, [
+                    h(
+                        'p',
+                        'question--answer-result' +
+                            (correct
+                                ? ' question--answer-result-correct'
+                                : ' question--answer-result-incorrect'),
+                        {},
+                        [resultText]
+                    ),
+                    h('p', 'question--answer-title', {}, [
+                        'Answer:',
+                        ...(answerReading
+                            ? [
+                                  SpeakButton(
+                                      answerReading,
+                                      'Play answer ' + (index + 1)
+                                  )
+                              ]
+                            : [])
+                    ]),
+                    ...answer
+                ])
+            ]);
+        };
+
+        /**
+         * The options of a question, locked and marked once it is answered (or while the answers are shown).
+         * @param {number} index The index of the question.
+         * @param {boolean} isShown If the answers are shown.
+         * @param {number | undefined} picked The picked option.
+         * @returns {BoundryElement}
+         */
+        const Choices = (index, isShown, picked) => {
+            const { options, correctIndex } = pickedChoices[index];
+            const isLocked = isShown || picked !== undefined;
+
+            return h(
+                'div',
+                'question--choices',
+                {
+                    role: 'group',
+                    'aria-label': 'Options for question ' + (index + 1)
+                },
+                options.map((option, optionIndex) =>
+                    h(
+                        'button',
+                        'question--choice' +
+                            (isLocked && optionIndex === correctIndex
+                                ? ' question--choice-correct'
+                                : '') +
+                            (optionIndex === picked &&
+                            optionIndex !== correctIndex
+                                ? ' question--choice-incorrect'
+                                : ''),
+                        {
+                            type: 'button',
+                            lang: 'ja',
+                            onClick: () => chooseAnswer(index, optionIndex),
+                            ...(isLocked ? { disabled: '' } : {})
+                        },
+                        [option]
+                    )
+                )
+            );
+        };
+
+        /**
+         * The input of a question, locked and marked while the answers are shown.
+         * The typed value is not part of the state, so patching keeps it.
+         * @param {number} index The index of the question.
+         * @param {{answered: boolean, correct: boolean} | undefined} result The graded answer (while the answers are shown).
+         * @returns {BoundryElement}
+         */
+        const Input = (index, result) =>
+            h(
+                'input',
+                'question--input' +
+                    (result
+                        ? result.correct
+                            ? ' question--input-correct'
+                            : ' question--input-incorrect'
+                        : ''),
+                {
+                    type: 'text',
+                    lang: 'ja',
+                    autocomplete: 'off',
+                    placeholder: questions[index].targetDate
+                        ? '答え (漢字 or ひらがな, or pick a day on the calendar)'
+                        : '答え (漢字 or ひらがな)',
+                    'aria-label': 'Answer ' + (index + 1),
+                    ...(result ? { readonly: '' } : {}),
+                    onFocus: () => {
+                        activeIndex = questions[index].targetDate
+                            ? index
+                            : null;
+                        markDays();
+                    },
+                    onInput: () => {
+                        picks[index] = undefined;
+                        markDays();
+                    }
+                },
+                [],
+                inputRefs[index]
+            );
+
+        /**
+         * The total score and the questions for a state.
+         * @param {{isShown: boolean, chosen: (number | undefined)[], results: {answered: boolean, correct: boolean}[]}} value The state.
+         * @returns {BoundryElement[]}
+         */
+        const view = ({ isShown, chosen, results }) => {
+            const correctCount = results.filter(
+                ({ correct }) => correct
+            ).length;
+
+            return [
+                h(
+                    'div',
+                    'question--score-host',
+                    {},
+                    isShown
+                        ? [
+                              h('p', 'question--score', {}, [
+                                  'Score: ' +
+                                      correctCount +
+                                      ' / ' +
+                                      questions.length +
+                                      ' (' +
+                                      Math.round(
+                                          (correctCount / questions.length) *
+                                              100
+                                      ) +
+                                      '%)'
+                              ])
+                          ]
+                        : []
+                ),
+                h(
+                    'ol',
+                    'questions',
+                    {},
+                    questions.map((question, index) =>
+                        h(
+                            'div',
+                            'question' + (isShown ? ' question--revealed' : ''),
+                            { key: question.id },
+                            [
+                                h('li', 'question--question', {}, [
+                                    h(
+                                        'span',
+                                        'question--prompt',
+                                        {},
+                                        prompts[index]
+                                    ),
+                                    SpeakButton(
+                                        collectReadings(prompts[index]),
+                                        'Play question ' + (index + 1)
+                                    )
+                                ]),
+                                pickedChoices[index]
+                                    ? Choices(index, isShown, chosen[index])
+                                    : Input(
+                                          index,
+                                          isShown ? results[index] : undefined
+                                      ),
+                                h(
+                                    'div',
+                                    'question--answer-host',
+                                    {},
+                                    isShown
+                                        ? [Answer(index, results[index])]
+                                        : []
+                                )
+                            ]
+                        )
+                    )
+                )
+            ];
+        };
+
+        // Create the questions (keyed by the test, so the typed answers of another test are never kept).
+        return [
+            h(
+                'div',
+                'question--list',
+                {
+                    key:
+                        date.getTime() +
+                        ':' +
+                        questions.map((question) => question.id).join(',')
+                },
+                bindState(listRef, state, view),
+                listRef
+            ),
+            showHideAnswers,
+            pickDate
+        ];
+    };
+
+    /**
+     * Format a duration as minutes and seconds (e.g. 1:05).
+     * @param {number} milliseconds The duration to format.
+     * @returns {string}
+     */
+    const formatDuration = (milliseconds) => {
+        const totalSeconds = Math.max(Math.round(milliseconds / 1000), 0);
+        const seconds = totalSeconds % 60;
+        return (
+            Math.floor(totalSeconds / 60) +
+            ':' +
+            (seconds < 10 ? '0' : '') +
+            seconds
+        );
+    };
+
+    /**
+     * The results of an exam.
+     * @param {QuestionGenerator[]} questions The questions on the exam.
+     * @param {number[]} seeds The seeds for the questions / answers.
+     * @param {Date} date The quiz date.
+     * @param {{answered: boolean, correct: boolean}[]} results The graded answers.
+     * @param {number[]} times The time spent on each question (in milliseconds).
+     * @param {number} elapsed The time the whole exam took (in milliseconds).
+     * @param {number} timeLimit The time limit of the exam (in milliseconds).
+     * @returns {BoundryElement}
+     */
+    const ExamResults = (
+        questions,
+        seeds,
+        date,
+        results,
+        times,
+        elapsed,
+        timeLimit
+    ) => {
+        const correctCount = results.filter((result) => result.correct).length;
+        const missed = questions
+            .map((_, index) => index)
+            .filter((index) => !results[index].correct);
+
+        /**
+         * Get the mark for a graded answer.
+         * @param {{answered: boolean, correct: boolean}} result The graded answer.
+         * @returns {string}
+         */
+        const resultMark = (result) => {
+            if (result.correct) return '✓';
+            return result.answered ? '✗' : '–';
+        };
+
+        return h('div', 'exam-results', {}, [
+            h('h2', 'exam-results--title', {}, ['Exam Results']),
+            h('p', 'exam-results--summary', {}, [
+                'Score: ' +
+                    correctCount +
+                    ' / ' +
+                    questions.length +
+                    ' (' +
+                    Math.round((correctCount / questions.length) * 100) +
+                    '%) • Time: ' +
+                    formatDuration(elapsed) +
+                    ' / ' +
+                    formatDuration(timeLimit)
+            ]),
+            h('table', 'exam-results--table', {}, [
+                h('thead', '', {}, [
+                    h('tr', '', {}, [
+                        h('th', '', {}, ['#']),
+                        h('th', '', {}, ['Question']),
+                        h('th', '', {}, ['Time']),
+                        h('th', '', {}, ['Result'])
+                    ])
+                ]),
+                h(
+                    'tbody',
+                    '',
+                    {},
+                    questions.map((question, index) =>
+                        h('tr', '', {}, [
+                            h('td', '', {}, [(index + 1).toString()]),
+                            h(
+                                'td',
+                                '',
+                                {},
+                                question.createQuestion(date, seeds[index])
+                            ),
+                            h('td', '', {}, [formatDuration(times[index])]),
+                            h(
+                                'td',
+                                results[index].correct
+                                    ? 'question--answer-result-correct'
+                                    : 'question--answer-result-incorrect',
+                                {},
+                                [resultMark(results[index])]
+                            )
+                        ])
+                    )
+                )
+            ]),
+            ...(missed.length === 0
+                ? [
+                      h('p', 'exam-results--perfect', {}, [
+                          'No missed questions!'
+                      ])
+                  ]
+                : [
+                      h('h3', 'exam-results--subtitle', {}, [
+                          'Missed Questions'
+                      ]),
+                      h(
+                          'ol',
+                          'exam-results--missed',
+                          {},
+                          missed.map((index) =>
+                              h('li', 'exam-results--missed-question', {}, [
+                                  h(
+                                      'p',
+                                      '',
+                                      {},
+                                      questions[index].createQuestion(
+                                          date,
+                                          seeds[index]
+                                      )
+                                  ),
+                                  h(
+                                      'div',
+                                      'question--answer',
+                                      {},
+                                      questions[index].answer(
+                                          date,
+                                          seeds[index]
+                                      )
+                                  )
+                              ])
+                          )
+                      )
+                  ])
+        ]);
+    };
+
+    /**
+     * A printable worksheet followed by its answer key on a separate page.
+     * @param {AssembledTest} assembled The test on the worksheet.
+     * @param {string} label The label of the version (e.g. "Version A").
+     * @returns {BoundryElement[]}
+     */
+    const Worksheet = (assembled, label) => {
+        const { date, questions, seeds } = assembled;
+        const subtitle = label + ' • Seed ' + assembled.test.seed.toString(36);
+
+        return [
+            h('section', 'worksheet', {}, [
+                h('header', 'worksheet--header', {}, [
+                    h('div', 'worksheet--title-container', {}, [
+                        h('h1', 'worksheet--title', {}, ['日本語日付試し練習']),
+                        h('p', 'worksheet--subtitle', {}, [subtitle]),
+                        h('p', 'worksheet--field', {}, [
+                            'Name',
+                            h('span', 'worksheet--blank', {}, [])
+                        ]),
+                        h('p', 'worksheet--field', {}, [
+                            'Score',
+                            h('span', 'worksheet--blank', {}, []),
+                            '/ ' + questions.length
+                        ])
+                    ]),
+                    AnalogClock(date.getHours(), date.getMinutes()),
+                    Calendar(date)
+                ]),
+                h(
+                    'ol',
+                    'worksheet--questions',
+                    {},
+                    questions.map((question, index) =>
+                        h('li', 'worksheet--question', {}, [
+                            h(
+                                'p',
+                                'worksheet--prompt',
+                                {},
+                                question.createQuestion(date, seeds[index])
+                            ),
+                            h('div', 'worksheet--line', {}, [])
+                        ])
+                    )
+                )
+            ]),
+            h('section', 'worksheet worksheet-answer-key', {}, [
+                h('header', 'worksheet--header', {}, [
+                    h('div', 'worksheet--title-container', {}, [
+                        h('h1', 'worksheet--title', {}, ['Answer Key']),
+                        h('p', 'worksheet--subtitle', {}, [
+                            subtitle + ' • ' + dateEnglish(date)
+                        ])
+                    ])
+                ]),
+                h(
+                    'ol',
+                    'worksheet--questions',
+                    {},
+                    questions.map((question, index) =>
+                        h('li', 'worksheet--question', {}, [
+                            h(
+                                'p',
+                                'worksheet--prompt',
+                                {},
+                                question.createQuestion(date, seeds[index])
+                            ),
+                            h(
+                                'div',
+                                'question--answer',
+                                {},
+                                question.answer(date, seeds[index])
+                            )
+                        ])
+                    )
+                )
+            ])
+        ];
+    };
+
+    /**
+     * The settings panel.
+     * @param {Settings} settings The current settings.
+     * @param {function(Settings): void} onApply Called with the new settings when they are applied (and valid).
+     * @returns {BoundryElement}
+     */
+    const SettingsPanel = (settings, onApply) => {
+        /** @type {{current: HTMLInputElement}[]} */
+        const categoryRefs = questionCategories.map(() => createRef());
+        const maxDifficultyRef = createRef();
+        const questionCountRef = createRef();
+        const minYearRef = createRef();
+        const maxYearRef = createRef();
+        const examMinutesRef = createRef();
+        const examCalendarSecondsRef = createRef();
+        const worksheetVariantsRef = createRef();
+        const promptFuriganaRef = createRef();
+        const errorRef = createRef();
+
+        /**
+         * Read the settings from the inputs.
+         * @returns {Settings | null} The settings, or null if they are not valid.
+         */
+        const readSettings = () => {
+            const categories = questionCategories
+                .filter((_, index) => categoryRefs[index].current.checked)
+                .map((category) => category.id);
+
+            errorRef.current.textContent =
+                categories.length === 0 ? 'Pick at least one category.' : '';
+            if (categories.length === 0) return null;
+
+            return normalizeSettings({
+                categories,
+                maxDifficulty: Number(maxDifficultyRef.current.value),
+                questionCount: Number(questionCountRef.current.value),
+                minYear: Number(minYearRef.current.value),
+                maxYear: Number(maxYearRef.current.value),
+                examMinutes: Number(examMinutesRef.current.value),
+                examCalendarSeconds: Number(
+                    examCalendarSecondsRef.current.value
+                ),
+                worksheetVariants: Number(worksheetVariantsRef.current.value),
+                promptFurigana: promptFuriganaRef.current.checked
+            });
+        };
+
+        /**
+         * Create a labeled number input.
+         * @param {string} label The label of the input.
+         * @param {number} value The value of the input.
+         * @param {number} min The minimum value.
+         * @param {number} max The maximum value.
+         * @param {{current: HTMLInputElement}} ref A reference to the input.
+         * @returns {BoundryElement}
+         */
+        const NumberInput = (label, value, min, max, ref) =>
+            h('label', 'settings--field', {}, [
+                h('span', 'settings--label', {}, [label]),
+                h(
+                    'input',
+                    'settings--input',
+                    {
+                        type: 'number',
+                        value: value.toString(),
+                        min: min.toString(),
+                        max: max.toString()
+                    },
+                    [],
+                    ref
+                )
+            ]);
+
+        return h('div', 'settings', {}, [
+            h('h2', 'settings--title', {}, ['Settings']),
+            h('fieldset', 'settings--group', {}, [
+                h('legend', 'settings--legend', {}, ['Categories']),
+                ...questionCategories.map((category, index) =>
+                    h('label', 'settings--checkbox', {}, [
+                        h(
+                            'input',
+                            '',
+                            {
+                                type: 'checkbox',
+                                ...(settings.categories.includes(category.id)
+                                    ? { checked: '' }
+                                    : {})
+                            },
+                            [],
+                            categoryRefs[index]
+                        ),
+                        h('span', '', {}, [category.label]),
+                        h('span', 'settings--count', {}, [
+                            findQuestions({
+                                categories: [category.id]
+                            }).length.toString()
+                        ])
+                    ])
+                )
+            ]),
+            h('fieldset', 'settings--group', {}, [
+                h('legend', 'settings--legend', {}, ['Test']),
+                NumberInput(
+                    'Number of questions',
+                    settings.questionCount,
+                    1,
+                    questionRegistry.length,
+                    questionCountRef
+                ),
+                NumberInput(
+                    'Hardest questions (1 - 3)',
+                    settings.maxDifficulty,
+                    easiestDifficulty,
+                    hardestDifficulty,
+                    maxDifficultyRef
+                ),
+                NumberInput(
+                    'From year',
+                    settings.minYear,
+                    earliestYear,
+                    latestYear,
+                    minYearRef
+                ),
+                NumberInput(
+                    'To year',
+                    settings.maxYear,
+                    earliestYear,
+                    latestYear,
+                    maxYearRef
+                )
+            ]),
+            h('fieldset', 'settings--group', {}, [
+                h('legend', 'settings--legend', {}, ['Exam']),
+                NumberInput(
+                    'Time limit (minutes)',
+                    settings.examMinutes,
+                    1,
+                    120,
+                    examMinutesRef
+                ),
+                NumberInput(
+                    'Show calendar for (seconds, 0 to hide)',
+                    settings.examCalendarSeconds,
+                    0,
+                    600,
+                    examCalendarSecondsRef
+                )
+            ]),
+            h('fieldset', 'settings--group', {}, [
+                h('legend', 'settings--legend', {}, ['Worksheet']),
+                NumberInput(
+                    'Versions to print',
+                    settings.worksheetVariants,
+                    1,
+                    maxWorksheetVariants,
+                    worksheetVariantsRef
+                )
+            ]),
+            h('fieldset', 'settings--group', {}, [
+                h('legend', 'settings--legend', {}, ['Furigana']),
+                h('label', 'settings--checkbox', {}, [
+                    h(
+                        'input',
+                        '',
+                        {
+                            type: 'checkbox',
+                            ...(settings.promptFurigana ? { checked: '' } : {})
+                        },
+                        [],
+                        promptFuriganaRef
+                    ),
+                    h('span', '', {}, [
+                        'Show furigana on the questions (for beginners)'
+                    ])
+                ])
+            ]),
+            h('div', 'settings--actions', {}, [
+                h(
+                    'button',
+                    'toolbar--button',
+                    {
+                        onClick: () => {
+                            const newSettings = readSettings();
+                            if (newSettings) onApply(newSettings);
+                        }
+                    },
+                    ['Apply & New Test']
+                ),
+                h('p', 'settings--error', {}, [], errorRef)
+            ])
+        ]);
+    };
+
+    /**
+     * The main entry point for the application.
+     */
+    const main = () => {
+        const root = document.getElementById('root');
+
+        const revealButtonRef = createRef();
+        const settingsHostRef = createRef();
+        const examButtonRef = createRef();
+        const packFileRef = createRef();
+        const packReportRef = createRef();
+        const furiganaButtonRef = createRef();
+        const romajiButtonRef = createRef();
+        const listeningButtonRef = createRef();
+        const multipleChoiceButtonRef = createRef();
+        const threeMonthsButtonRef = createRef();
+        const examTimerRef = createRef();
+        const examHostRef = createRef();
+        const calendarParentRef = createRef();
+        const clockParentRef = createRef();
+        const calendarBodyRef = createRef();
+        const questionHostRef = createRef();
+
+        /** @type {Date} */
+        let date = new Date();
+        /** @type {QuestionGenerator[]} */
+        let currentQuestions = [];
+        /** @type {number[]} */
+        let seeds = [];
+        /** @type {function(boolean): {answered: boolean, correct: boolean}[]} */
+        let showHideAnswersFunction = () => [];
+        /** @type {function(Date): void} */
+        let pickDateFunction = () => {};
+        /** @type {boolean} */
+        let showAnswers = false;
+        /** @type {boolean} */
+        let resultsRecorded = false;
+        /** @type {string} */
+        let currentHash = '';
+        /** @type {TestOptions | null} */
+        let currentTest = null;
+        // The imported question packs are added before the settings are loaded (they can ask for more questions).
+        loadPacks().forEach(importPack);
+
+        /** @type {Settings} */
+        let settings = loadSettings();
+        /** @type {DisplayOptions} */
+        let display = loadDisplayOptions();
+        /**
+         * The running exam (null when not in an exam).
+         * @type {({startedAt: number, endsAt: number, timerId: number, calendarTimerId: number, times: number[], focusedIndex: number, focusedAt: number} | null)}
+         */
+        let exam = null;
+        /** @type {boolean} */
+        let examRequested = false;
+
+        /**
+         * Show or hide the furigana and romaji (on the body, so printed worksheets follow it too),
+         * show the months next to the calendar and hide the questions in a listening quiz.
+         * @returns {void}
+         */
+        const updateDisplay = () => {
+            // Without a Japanese voice the questions can't be heard, so they are always shown.
+            const canSpeak = findJapaneseVoice() !== null;
+            document.body.classList.toggle('speech-available', canSpeak);
+            document.body.classList.toggle(
+                'listening',
+                canSpeak && display.listening
+            );
+            listeningButtonRef.current.disabled = !canSpeak;
+            listeningButtonRef.current.title = canSpeak
+                ? 'Only hear the questions'
+                : 'No Japanese voice is installed';
+            listeningButtonRef.current.setAttribute(
+                'aria-pressed',
+                (canSpeak && display.listening).toString()
+            );
+
+            document.body.classList.toggle(
+                'furigana-hidden',
+                !display.furigana
+            );
+            document.body.classList.toggle(
+                'furigana-prompts',
+                settings.promptFurigana
+            );
+            document.body.classList.toggle('romaji-shown', display.romaji);
+            document.body.classList.toggle(
+                'calendar-strip',
+                display.threeMonths
+            );
+            furiganaButtonRef.current.setAttribute(
+                'aria-pressed',
+                display.furigana.toString()
+            );
+            romajiButtonRef.current.setAttribute(
+                'aria-pressed',
+                display.romaji.toString()
+            );
+            threeMonthsButtonRef.current.setAttribute(
+                'aria-pressed',
+                display.threeMonths.toString()
+            );
+            multipleChoiceButtonRef.current.setAttribute(
+                'aria-pressed',
+                display.multipleChoice.toString()
+            );
+        };
+
+        /**
+         * Grade the answers and record them in the spaced repetition progress (once per test).
+         * @param {{answered: boolean, correct: boolean}[]} results The graded answers.
+         * @returns {void}
+         */
+        const recordResults = (results) => {
+            if (resultsRecorded) return;
+
+            resultsRecorded = true;
+            saveSrsProgress(
+                recordSrsResults(
+                    loadSrsProgress(),
+                    currentQuestions,
+                    seeds,
+                    date,
+                    results
+                )
+            );
+        };
+
+        /**
+         * Stop the exam timers (and the time of the focused question).
+         * @returns {void}
+         */
+        const stopExamTimers = () => {
+            if (!exam) return;
+
+            window.clearInterval(exam.timerId);
+            window.clearTimeout(exam.calendarTimerId);
+            if (exam.focusedIndex !== -1) {
+                exam.times[exam.focusedIndex] += Date.now() - exam.focusedAt;
+                exam.focusedIndex = -1;
+            }
+        };
+
+        /**
+         * Update the countdown, and finish the exam when the time runs out.
+         * @returns {void}
+         */
+        const updateExamTimer = () => {
+            if (!exam) return;
+
+            const remaining = exam.endsAt - Date.now();
+            examTimerRef.current.textContent = '⏱ ' + formatDuration(remaining);
+            if (remaining <= 0) finishExam();
+        };
+
+        /**
+         * Start an exam on the current test.
+         * @returns {void}
+         */
+        const startExam = () => {
+            const now = Date.now();
+            exam = {
+                startedAt: now,
+                endsAt: now + settings.examMinutes * 60000,
+                timerId: window.setInterval(updateExamTimer, 1000),
+                calendarTimerId: window.setTimeout(() => {
+                    calendarBodyRef.current.hidden = true;
+                }, settings.examCalendarSeconds * 1000),
+                times: currentQuestions.map(() => 0),
+                focusedIndex: -1,
+                focusedAt: now
+            };
+
+            examButtonRef.current.textContent = 'Finish Exam';
+            revealButtonRef.current.disabled = true;
+            examTimerRef.current.hidden = false;
+            updateExamTimer();
+        };
+
+        /**
+         * Finish the exam: lock and grade the answers, and show the results.
+         * @returns {void}
+         */
+        const finishExam = () => {
+            if (!exam) return;
+
+            stopExamTimers();
+            const elapsed = Math.min(Date.now(), exam.endsAt) - exam.startedAt;
+            const times = exam.times;
+            exam = null;
+
+            examButtonRef.current.textContent = 'Start Exam';
+            revealButtonRef.current.disabled = false;
+            revealButtonRef.current.textContent = 'Hide Answers';
+            examTimerRef.current.hidden = true;
+            calendarBodyRef.current.hidden = false;
+
+            showAnswers = true;
+            const results = showHideAnswersFunction(true);
+            recordResults(results);
+
+            render(
+                ExamResults(
+                    currentQuestions,
+                    seeds,
+                    date,
+                    results,
+                    times,
+                    elapsed,
+                    settings.examMinutes * 60000
+                ),
+                examHostRef.current
+            );
+        };
+
+        /**
+         * Set up and create a new test.
+         * @param {TestOptions} test The test. Its seed decides the date, the question order and every per-question choice.
+         * @returns {void}
+         */
+        const newTest = (test) => {
+            const assembled = assembleTest(test, settings, loadSrsProgress());
+            date = assembled.date;
+            currentQuestions = assembled.questions;
+            seeds = assembled.seeds;
+            currentTest = assembled.test;
 
-                return [
-                    h('span', '', {}, [
-                        joinWithArrow([
-                            "What day is next week's " +
-                                days[targetDay.getDate() - 1].english +
-                                '?',
-                            daysOfWeek[targetDay.getDay() % 7].english,
-                            daysOfWeek[targetDay.getDay() % 7].kanji,
-                            daysOfWeek[targetDay.getDay() % 7].hiragana
-                        ])
-                    ])
-                ];
+            // Save the picked questions in the URL, so the link always gives the same test.
+            const hash = testToHash(currentTest);
+            if (window.location.hash !== hash) {
+                window.history.replaceState(null, '', hash);
             }
-        }
-    ];
+            currentHash = window.location.hash;
 
-    /**
-     * Get a list of weeks for a given month.
-     * @param {Date} date The date to get the weeks for.
-     * @returns {(Date | null)[][]}
-     */
-    const getWeeks = (date) => {
-        // Get the days in the month.
-        /** @type {number} */
-        const daysInMonth = new Date(
-            date.getFullYear(),
-            date.getMonth() + 1,
-            0
-        ).getDate();
+            showHideAnswersFunction = (_) => [];
+            resultsRecorded = false;
+            showAnswers = false;
 
-        // Create a list of days with the correct date.
-        /** @type {Date[]} */
-        const days = [];
-        for (let i = 1; i <= daysInMonth; i++) {
-            days.push(new Date(date.getFullYear(), date.getMonth(), i));
-        }
+            // A new test cancels a running exam.
+            stopExamTimers();
+            exam = null;
+            examButtonRef.current.textContent = 'Start Exam';
+            revealButtonRef.current.disabled = false;
+            examTimerRef.current.hidden = true;
+            patch(examHostRef.current, []);
 
-        // Create a list of weeks, with a sub array of days (starting on Sunday).
-        /** @type {(Date | null)[][]} */
-        const weeks = [];
-        let currentWeek = [null, null, null, null, null, null, null];
-        for (let i = 0; i < days.length; i++) {
-            currentWeek[days[i].getDay()] = days[i];
-            if (days[i].getDay() === 6 || i === days.length - 1) {
-                weeks.push(currentWeek);
-                currentWeek = [null, null, null, null, null, null, null];
-            }
-        }
+            // Change the button to say "Reveal Answers".
+            revealButtonRef.current.textContent = 'Reveal Answers';
 
-        return weeks;
-    };
+            // Update the clock, calendar and questions of the last test (only what changed is replaced).
+            patch(clockParentRef.current, [
+                AnalogClock(date.getHours(), date.getMinutes())
+            ]);
+            patch(calendarParentRef.current, [
+                Calendar(date, calendarBodyRef, (day) => pickDateFunction(day))
+            ]);
 
-    /**
-     * A calendar component.
-     * @param {Date} date The date to display.
-     */
-    const Calendar = (date) => {
-        // Create a list of weeks, with a sub array of days (starting on Sunday).
-        const weeks = getWeeks(date);
-
-        const months = [
-            'January',
-            'February',
-            'March',
-            'April',
-            'May',
-            'June',
-            'July',
-            'August',
-            'September',
-            'October',
-            'November',
-            'December'
-        ];
-        const specialDays = {
-            1: '1st',
-            2: '2nd',
-            3: '3rd',
-            21: '21st',
-            22: '22nd',
-            23: '23rd',
-        }
+            const [component, showHideAnswers, pickDate] = Questions(
+                currentQuestions,
+                seeds,
+                date,
+                display.multipleChoice,
+                (target, picked) =>
+                    markCalendarDays(calendarBodyRef.current, target, picked)
+            );
+            patch(questionHostRef.current, [component]);
+            showHideAnswersFunction = showHideAnswers;
+            pickDateFunction = pickDate;
 
-        return h('div', 'calendar', {}, [
-            h('div', 'calendar--header', {}, [
-                h('p', 'calendar--month-year', {}, [
-                    (specialDays[date.getDate()] || (date.getDate() + 'th')) + ' of ' + months[date.getMonth()] + ' ' + date.getFullYear()
-                ])
-            ]),
-            h('div', 'calendar--body', {}, [
-                h('div', 'calendar--weekdays', {}, [
-                    h('p', 'calendar--weekday', {}, ['Sun']),
-                    h('p', 'calendar--weekday', {}, ['Mon']),
-                    h('p', 'calendar--weekday', {}, ['Tue']),
-                    h('p', 'calendar--weekday', {}, ['Wed']),
-                    h('p', 'calendar--weekday', {}, ['Thu']),
-                    h('p', 'calendar--weekday', {}, ['Fri']),
-                    h('p', 'calendar--weekday', {}, ['Sat'])
-                ]),
-                h(
-                    'div',
-                    'calendar--days',
-                    {},
-                    weeks.map((week) => {
-                        return h(
-                            'div',
-                            'calendar--week',
-                            {},
-                            week.map((day) => {
-                                const isEqualToDate =
-                                    day && day.getDate() === date.getDate();
+            if (examRequested) {
+                examRequested = false;
+                startExam();
+            }
+        };
 
-                                return h(
-                                    'p',
-                                    'calendar--day' +
-                                        (isEqualToDate
-                                            ? ' calendar--day-active'
-                                            : ''),
-                                    {},
-                                    [day ? day.getDate() : '']
-                                );
-                            })
-                        );
-                    })
-                )
-            ])
-        ]);
-    };
+        /**
+         * Create a new test with a new seed and the current settings.
+         * @returns {void}
+         */
+        const newRandomTest = () => {
+            // The hashchange listener creates the test.
+            window.location.hash = testToHash({
+                seed: generateSeed(),
+                questionIds: null,
+                minYear: settings.minYear,
+                maxYear: settings.maxYear
+            });
+        };
 
-    /**
-     * A list of questions on the test. Note, this has two return results, one is a function to show or hide quesion answers.
-     * @param {({createQuestion: (function(Date): BoundryElement), answer: (function(Date): BoundryElement)}[])[]} questions The list of questions (randomized).
-     * @param {number[]} seeds The seeds for the questions / answers.
-     * @param {Date} date The date to display.
-     * @returns {[BoundryElement, function(boolean): void]}
-     */
-    const Questions = (questions, seeds, date) => {
-        /** @type {{current: HTMLElement}} */
-        const questionRefs = [];
+        /**
+         * Create the settings panel (again when questions are imported, for the number of questions in each category).
+         * @returns {void}
+         */
+        const renderSettings = () => {
+            removeAllChildren(settingsHostRef.current);
+            render(
+                SettingsPanel(settings, (newSettings) => {
+                    settings = newSettings;
+                    saveSettings(settings);
+                    updateDisplay();
+                    newRandomTest();
+                }),
+                settingsHostRef.current
+            );
+        };
 
         /**
-         * Show or hide the answers to the questions.
-         * @param {boolean} show If the answers should be shown.
+         * Show the result of importing a question pack.
+         * @param {string} message The result.
+         * @param {string[]} errors The problems with the pack. (Optional)
          * @returns {void}
-         * @public
          */
-        const showHideAnswers = (show) => {
-            for (let i = 0; i < questionRefs.length; i++) {
-                const ref = questionRefs[i];
+        const showPackReport = (message, errors = []) => {
+            removeAllChildren(packReportRef.current);
+            render(
+                h('div', 'pack-report--content', {}, [
+                    h(
+                        'p',
+                        errors.length > 0
+                            ? 'pack-report--message pack-report--message-error'
+                            : 'pack-report--message',
+                        {},
+                        [message]
+                    ),
+                    ...(errors.length > 0
+                        ? [
+                              h(
+                                  'ul',
+                                  'pack-report--errors',
+                                  {},
+                                  errors.map((error) =>
+                                      h('li', '', {}, [error])
+                                  )
+                              )
+                          ]
+                        : []),
+                    h(
+                        'button',
+                        'pack-report--close',
+                        {
+                            'aria-label': 'Close',
+                            onClick: () => {
+                                packReportRef.current.hidden = true;
+                            }
+                        },
+                        ['×']
+                    )
+                ]),
+                packReportRef.current
+            );
+            packReportRef.current.hidden = false;
+        };
 
-                // Make sure the ref is not null.
-                if (!ref.current) continue;
+        /**
+         * Show or hide the settings panel.
+         * @param {MouseEvent} event The click on the settings button.
+         * @returns {void}
+         */
+        const toggleSettings = (event) => {
+            const isHidden = settingsHostRef.current.hidden;
+            settingsHostRef.current.hidden = !isHidden;
+            event.currentTarget.setAttribute(
+                'aria-expanded',
+                isHidden.toString()
+            );
+        };
 
-                // Clear the children.
-                removeAllChildren(ref.current);
+        /**
+         * Import the question pack picked in the file input.
+         * @returns {void}
+         */
+        const readPackFile = () => {
+            const file = packFileRef.current.files[0];
+            if (!file) return;
 
-                // Not showing the answers.
-                if (!show) continue;
+            const reader = new FileReader();
+            reader.addEventListener('load', () => {
+                let pack;
+                try {
+                    pack = JSON.parse(reader.result);
+                } catch (error) {
+                    showPackReport(file.name + ' is not a JSON file.', [
+                        error.message
+                    ]);
+                    return;
+                }
 
-                // Show the answers.
-                render(
-                    h('blockquote', 'question--answers', {}, [
-                        h('div', 'question--answer-effect', {}, []),
-                        h('div', 'question--answer', {}, [
-                            h('p', 'question--answer-title', {}, ['Answer:']),
-                            ...questions[i].answer(date, seeds[i])
-                        ])
-                    ]),
-                    ref.current
+                const { questions, errors } = importPack(pack);
+                if (errors.length > 0) {
+                    showPackReport(
+                        file.name + ' could not be imported:',
+                        errors
+                    );
+                    return;
+                }
+
+                savePack(pack);
+                renderSettings();
+                showPackReport(
+                    'Imported ' +
+                        pack.name +
+                        ': ' +
+                        questions.length +
+                        (questions.length === 1 ? ' question.' : ' questions.')
                 );
-            }
+            });
+            reader.readAsText(file);
+            // Pick the same file again after it is changed.
+            packFileRef.current.value = '';
         };
 
-        // Create the questions.
-        return [
-            h(
-                'ol',
-                'questions',
-                {},
-                questions.map((question, index) => {
-                    const questionRef = createRef();
-                    questionRefs.push(questionRef);
-                    return h('div', 'question', {}, [
-                        h(
-                            'li',
-                            'question--question',
-                            {},
-                            question.createQuestion(date, seeds[index])
-                        ),
-                        h('div', 'question--answer-host', {}, [], questionRef)
-                    ]);
-                })
-            ),
-            showHideAnswers
-        ];
-    };
+        /**
+         * Turn a display option (furigana, romaji, listening or 3 months) on or off, and remember it.
+         * @param {'furigana' | 'romaji' | 'listening' | 'threeMonths'} option The option.
+         * @returns {void}
+         */
+        const toggleDisplay = (option) => {
+            display = { ...display, [option]: !display[option] };
+            saveDisplayOptions(display);
+            updateDisplay();
+        };
 
-    /**
-     * The main entry point for the application.
-     */
-    const main = () => {
-        const root = document.getElementById('root');
+        /**
+         * Switch between typing and picking the answers, and start the same test again.
+         * @returns {void}
+         */
+        const toggleMultipleChoice = () => {
+            display = { ...display, multipleChoice: !display.multipleChoice };
+            saveDisplayOptions(display);
+            updateDisplay();
+            newTest(currentTest);
+        };
 
-        const reloadButtonRef = createRef();
-        const revealButtonRef = createRef();
-        const calendarParentRef = createRef();
-        const questionHostRef = createRef();
+        /**
+         * Read a question or answer aloud (when its 🔊 button is clicked).
+         * @param {MouseEvent} event The click in the questions.
+         * @returns {void}
+         */
+        const speakQuestion = (event) => {
+            const button = event.target.closest('.speak-button');
+            if (!button) return;
+
+            if (!speak(button.dataset.speak)) updateDisplay();
+        };
 
         /**
-         * Generate a random date between the reiwa era and 20 years in the future.
-         * @returns {Date}
+         * Show or hide the answers (the first reveal of a test counts towards the progress).
+         * @returns {void}
          */
-        const generateRandomDate = () => {
-            // Random date (reiwa era 1st year to like ~30 years in the future)
-            const year = getRandomInt(2019, 2049);
-            // Self explanatory...
-            const month = getRandomInt(0, 11);
-            // Because of how the test works, there needs to be a one week buffer.
-            const calendar = getWeeks(new Date(year, month, 1));
-            let topPadding = calendar[0].filter((x) => x !== null).length;
-            let bottomPadding = calendar[calendar.length - 1].filter(
-                (x) => x !== null
-            ).length;
-            // Remove 1st and last week and flatten the array.
-            const daysInMonth = calendar.slice(1, calendar.length - 1).flat();
-            // Random day.
-            topPadding = Math.max(2 - topPadding, 0);
-            bottomPadding = Math.max(2 - bottomPadding, 0);
-            const day = getRandomInt(
-                topPadding,
-                daysInMonth.length - bottomPadding - 1
+        const toggleAnswers = () => {
+            revealButtonRef.current.textContent = showAnswers
+                ? 'Reveal Answers'
+                : 'Hide Answers';
+            showAnswers = !showAnswers;
+            const results = showHideAnswersFunction(showAnswers);
+
+            if (showAnswers) recordResults(results);
+        };
+
+        /**
+         * Print the current test as a worksheet (with its other versions and the answer keys).
+         * @returns {void}
+         */
+        const printWorksheet = () => {
+            // The first version is the current test, the others reuse its questions with new seeds.
+            const variants = [currentTest];
+            for (let i = 1; i < settings.worksheetVariants; i++) {
+                variants.push({ ...currentTest, seed: generateSeed() });
+            }
+
+            const printRoot = document.createElement('div');
+            printRoot.className = 'print-root';
+            render(
+                h(
+                    'div',
+                    'print-content',
+                    {},
+                    variants.flatMap((test, index) =>
+                        Worksheet(
+                            assembleTest(test, settings, loadSrsProgress()),
+                            'Version ' + String.fromCharCode(65 + index)
+                        )
+                    )
+                ),
+                printRoot
+            );
+            document.body.appendChild(printRoot);
+
+            // Remove the worksheet once the print dialog closes.
+            window.addEventListener(
+                'afterprint',
+                () => {
+                    printRoot.remove();
+                },
+                { once: true }
             );
-            return daysInMonth[day];
+            window.print();
         };
 
-        /** @type {Date} */
-        let date = new Date();
-        /** @type {({createQuestion: (function(Date): BoundryElement), answer: (function(Date): BoundryElement)}[])[]} */
-        let currentQuestions = [];
-        /** @type {number[]} */
-        let seeds = [];
-        /** @type {function(boolean): void} */
-        let showHideAnswersFunction = () => {};
-        /** @type {boolean} */
-        let showAnswers = false;
+        /**
+         * Start an exam on a new test, or finish the running exam.
+         * @returns {void}
+         */
+        const startOrFinishExam = () => {
+            if (exam) {
+                finishExam();
+                return;
+            }
+
+            // The exam starts when the new test is created.
+            examRequested = true;
+            newRandomTest();
+        };
+
+        /**
+         * Start timing the focused question in an exam.
+         * @param {FocusEvent} event The focus moving into the questions.
+         * @returns {void}
+         */
+        const startQuestionTime = (event) => {
+            if (!exam) return;
+
+            const index = Array.from(
+                questionHostRef.current.querySelectorAll('.question')
+            ).indexOf(event.target.closest('.question'));
+            if (index === -1) return;
+
+            exam.focusedIndex = index;
+            exam.focusedAt = Date.now();
+        };
+
+        /**
+         * Add the time spent on the focused question in an exam.
+         * @returns {void}
+         */
+        const stopQuestionTime = () => {
+            if (!exam || exam.focusedIndex === -1) return;
+
+            exam.times[exam.focusedIndex] += Date.now() - exam.focusedAt;
+            exam.focusedIndex = -1;
+        };
 
         // Create the element.
         render(
@@ -1252,19 +6973,120 @@
                     h(
                         'button',
                         'toolbar--button reload-button',
-                        {},
-                        ['New Test'],
-                        reloadButtonRef
+                        { onClick: () => newRandomTest() },
+                        ['New Test']
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button settings-button',
+                        { 'aria-expanded': 'false', onClick: toggleSettings },
+                        ['Settings']
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button exam-button',
+                        { onClick: startOrFinishExam },
+                        ['Start Exam'],
+                        examButtonRef
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button print-button',
+                        { onClick: printWorksheet },
+                        ['Print Worksheet']
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button import-pack-button',
+                        { onClick: () => packFileRef.current.click() },
+                        ['Import Pack']
+                    ),
+                    h(
+                        'input',
+                        '',
+                        {
+                            type: 'file',
+                            accept: '.json,application/json',
+                            hidden: '',
+                            onChange: readPackFile
+                        },
+                        [],
+                        packFileRef
                     ),
                     h('div', 'spacer', {}, []),
+                    h(
+                        'span',
+                        'toolbar--timer',
+                        { hidden: '', role: 'timer' },
+                        [],
+                        examTimerRef
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button furigana-button',
+                        {
+                            'aria-pressed': display.furigana.toString(),
+                            onClick: () => toggleDisplay('furigana')
+                        },
+                        ['Furigana'],
+                        furiganaButtonRef
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button romaji-button',
+                        {
+                            'aria-pressed': display.romaji.toString(),
+                            onClick: () => toggleDisplay('romaji')
+                        },
+                        ['Romaji'],
+                        romajiButtonRef
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button listening-button',
+                        {
+                            'aria-pressed': display.listening.toString(),
+                            onClick: () => toggleDisplay('listening')
+                        },
+                        ['Listening'],
+                        listeningButtonRef
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button multiple-choice-button',
+                        {
+                            'aria-pressed': display.multipleChoice.toString(),
+                            onClick: toggleMultipleChoice
+                        },
+                        ['Multiple Choice'],
+                        multipleChoiceButtonRef
+                    ),
+                    h(
+                        'button',
+                        'toolbar--button three-months-button',
+                        {
+                            'aria-pressed': display.threeMonths.toString(),
+                            onClick: () => toggleDisplay('threeMonths')
+                        },
+                        ['3 Months'],
+                        threeMonthsButtonRef
+                    ),
                     h(
                         'button',
                         'toolbar--button reveal-button',
-                        {},
+                        { onClick: toggleAnswers },
                         ['Reveal Answers'],
                         revealButtonRef
                     )
                 ]),
+                h(
+                    'div',
+                    'pack-report',
+                    { hidden: '', role: 'status' },
+                    [],
+                    packReportRef
+                ),
+                h('div', 'settings-host', { hidden: '' }, [], settingsHostRef),
                 h('header', 'header', {}, [
                     h('div', 'header--title-container', {}, [
                         h('h1', 'header--title', {}, ['日本語日付試し練習']),
@@ -1273,11 +7095,23 @@
                         ])
                     ]),
                     h('div', 'spacer', {}, []),
+                    h('div', 'header--clock-host', {}, [], clockParentRef),
                     h('div', 'header--calendar-host', {}, [], calendarParentRef)
                 ]),
+                h('div', 'exam-host', {}, [], examHostRef),
                 h('div', 'questions', {}, [
                     h('h2', 'question--title', {}, ['Questions']),
-                    h('div', 'question--host', {}, [], questionHostRef)
+                    h(
+                        'div',
+                        'question--host',
+                        {
+                            onClick: speakQuestion,
+                            onFocusin: startQuestionTime,
+                            onFocusout: stopQuestionTime
+                        },
+                        [],
+                        questionHostRef
+                    )
                 ]),
                 h('footer', 'footer', {}, [
                     h('p', 'footer--text', {}, [
@@ -1303,58 +7137,101 @@
                     ]),
                     h('p', 'footer--text', {}, ['•']),
                     h('p', 'footer--text', {}, [
-                        h('span', '', {}, ['Version ' + (window.COMMIT_HASH || '')])
+                        h('span', '', {}, [
+                            'Version ' + (window.COMMIT_HASH || '')
+                        ])
                     ])
                 ])
             ]),
             root
         );
 
-        /**
-         * Set up and create a new test.
-         * @returns {void}
-         */
-        const newTest = () => {
-            // Randomize the date.
-            date = generateRandomDate();
-            currentQuestions = shuffle(questionGenerator);
-            seeds = Array(currentQuestions.length).map(() => Math.random());
-            showHideAnswersFunction = (_) => {};
-            showAnswers = false;
+        renderSettings();
 
-            // Change the button to say "Reveal Answers".
-            revealButtonRef.current.textContent = 'Reveal Answers';
+        // The voices are loaded after the page (and can change when voices are installed).
+        if ('speechSynthesis' in window) {
+            window.speechSynthesis.addEventListener(
+                'voiceschanged',
+                updateDisplay
+            );
+        }
 
-            removeAllChildren(calendarParentRef.current);
-            render(Calendar(date), calendarParentRef.current);
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash === currentHash) return;
 
-            // Create the questions.
-            removeAllChildren(questionHostRef.current);
-            const [component, showHideAnswers] = Questions(
-                currentQuestions,
-                seeds,
-                date
-            );
-            render(component, questionHostRef.current);
-            showHideAnswersFunction = showHideAnswers;
-        };
+            // Invalid or missing seed, create a new test.
+            const test = readTestFromHash();
+            if (test === null) {
+                newRandomTest();
+                return;
+            }
 
-        // Add event listeners.
-        reloadButtonRef.current.addEventListener('click', () => {
-            newTest();
+            newTest(test);
         });
 
-        revealButtonRef.current.addEventListener('click', () => {
-            revealButtonRef.current.textContent = showAnswers
-                ? 'Reveal Answers'
-                : 'Hide Answers';
-            showAnswers = !showAnswers;
-            showHideAnswersFunction(showAnswers);
-        });
+        updateDisplay();
 
-        // Create the first test.
-        newTest();
+        // Create the first test (from the URL if it has a seed).
+        const initialTest = readTestFromHash();
+        if (initialTest === null) {
+            newTest({
+                seed: generateSeed(),
+                questionIds: null,
+                minYear: settings.minYear,
+                maxYear: settings.maxYear
+            });
+        } else {
+            newTest(initialTest);
+        }
     };
 
-    document.addEventListener('DOMContentLoaded', main);
+    // Without a page (e.g. in Node), the core is exported instead: it builds the quizzes without touching the DOM (see cli.js).
+    if (typeof module === 'object' && module.exports) {
+        module.exports = {
+            BoundryElement,
+            h,
+            render,
+            patch,
+            createState,
+            bindState,
+            dynamicYear,
+            getEra,
+            getWeeks,
+            getWeekDays,
+            getHolidays,
+            getHoliday,
+            counters,
+            readWithCounter,
+            readNumber,
+            readTime,
+            toRomaji,
+            furiganaReading,
+            questionCategories,
+            registerQuestion,
+            findQuestions,
+            getQuestion,
+            validatePack,
+            importPack,
+            defaultSettings,
+            earliestYear,
+            latestYear,
+            normalizeSettings,
+            parseTestHash,
+            testToHash,
+            generateSeed,
+            assembleTest,
+            quizFormats,
+            createQuiz,
+            formatQuiz,
+            renderToString,
+            Calendar,
+            AnalogClock,
+            DigitalClock,
+            Questions,
+            Worksheet,
+            worksheetToHtml
+        };
+    } else {
+        document.addEventListener('DOMContentLoaded', main);
+    }
 })();
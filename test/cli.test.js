@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+/**
+ * Run the command line quiz generator.
+ * @param {string[]} args The arguments.
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+const run = (args) =>
+    spawnSync(
+        process.execPath,
+        [path.join(__dirname, '..', 'cli.js'), ...args],
+        {
+            encoding: 'utf8'
+        }
+    );
+
+test('the number of questions and the difficulty are checked', () => {
+    for (const count of ['abc', '0', '-3', '2.5']) {
+        const { status, stderr } = run(['--seed', '1', '--count=' + count]);
+        assert.strictEqual(status, 1, count);
+        assert.strictEqual(
+            stderr,
+            'The number of questions has to be a positive integer.\n'
+        );
+    }
+    for (const difficulty of ['x', '0', '4']) {
+        const { status, stderr } = run([
+            '--seed',
+            '1',
+            '--difficulty',
+            difficulty
+        ]);
+        assert.strictEqual(status, 1, difficulty);
+        assert.strictEqual(stderr, 'The difficulty has to be 1, 2 or 3.\n');
+    }
+});
+
+test('the same seed prints the same quiz', () => {
+    const args = [
+        '--seed',
+        '1k3b9x',
+        '--count',
+        '3',
+        '--difficulty',
+        '2',
+        '--format',
+        'json'
+    ];
+    const first = run(args);
+    assert.strictEqual(first.status, 0, first.stderr);
+    assert.strictEqual(JSON.parse(first.stdout).questions.length, 3);
+    assert.strictEqual(run(args).stdout, first.stdout);
+});
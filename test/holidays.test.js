@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const quiz = require(path.join(__dirname, '..', 'src', 'script.js'));
+
+/**
+ * The days of the substitute and citizens' holidays of a year (e.g. 05-06).
+ * @param {number} year The year.
+ * @returns {string[]}
+ */
+const extraHolidays = (year) =>
+    quiz
+        .getHolidays(year)
+        .filter(({ kanji }) => kanji === '振替休日' || kanji === '国民の休日')
+        .map(
+            ({ date }) =>
+                String(date.getMonth() + 1).padStart(2, '0') +
+                '-' +
+                String(date.getDate()).padStart(2, '0')
+        );
+
+test('a holiday on a Sunday moves to the next day that is not a holiday', () => {
+    // 憲法記念日 is on a Sunday, so the substitute holiday is after みどりの日 and こどもの日.
+    assert.deepStrictEqual(extraHolidays(2020), ['02-24', '05-06']);
+    assert.deepStrictEqual(extraHolidays(2019), [
+        '04-30',
+        '05-02',
+        '05-06',
+        '08-12',
+        '11-04'
+    ]);
+    // Substitute holidays start in April 1973.
+    assert.deepStrictEqual(extraHolidays(1972), []);
+    assert.deepStrictEqual(extraHolidays(1973), ['04-30', '09-24']);
+});
+
+test('a day between two holidays is a citizens’ holiday', () => {
+    assert.deepStrictEqual(extraHolidays(2015), ['05-06', '09-22']);
+});
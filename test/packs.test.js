@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const quiz = require(path.join(__dirname, '..', 'src', 'script.js'));
+
+/**
+ * A valid question pack.
+ * @returns {object}
+ */
+const validPack = () => ({
+    id: 'lesson-1',
+    name: 'Lesson 1',
+    questions: [
+        {
+            id: 'next-week-date',
+            category: 'week-relative',
+            difficulty: 2,
+            table: 'days',
+            prompt: '{offset:1,unit:"week"}の{daysOfWeek}は何日{tense}か。',
+            answer: 'What date {tense} {daysOfWeek} {offset:1,unit:"week"}?'
+        }
+    ]
+});
+
+test('a valid pack has no errors', () => {
+    assert.deepStrictEqual(quiz.validatePack(validPack()), []);
+});
+
+test('the pack errors point at the problem', () => {
+    assert.deepStrictEqual(quiz.validatePack([]), [
+        'The pack has to be a JSON object.'
+    ]);
+    assert.deepStrictEqual(quiz.validatePack({}), [
+        'id: Use lowercase letters, numbers and "-".',
+        'name: The pack needs a name.',
+        'questions: The pack needs at least one question.'
+    ]);
+
+    const pack = validPack();
+    pack.questions.push({ ...pack.questions[0], difficulty: 4 });
+    assert.deepStrictEqual(quiz.validatePack(pack), [
+        'questions[1].id: "next-week-date" is used twice.',
+        'questions[1].difficulty: Has to be 1 - 3.'
+    ]);
+
+    pack.questions = [{ ...validPack().questions[0], prompt: '{bar}' }];
+    assert.deepStrictEqual(quiz.validatePack(pack), [
+        'questions[0].prompt: Unknown placeholder {bar}.'
+    ]);
+
+    pack.questions = [
+        {
+            ...validPack().questions[0],
+            prompt: '{offset:0,unit:"toString"}の{daysOfWeek}',
+            answer: '{offset:0,unit:"toString"}'
+        }
+    ];
+    assert.deepStrictEqual(quiz.validatePack(pack), [
+        'questions[0].prompt: The offset has to be -2 - 2 and the unit day, week or month.',
+        'questions[0].answer: The offset has to be -2 - 2 and the unit day, week or month.'
+    ]);
+});
+
+/**
+ * A pack with its own table of the days of the week.
+ * @param {unknown} furigana The furigana of Sunday.
+ * @returns {object}
+ */
+const weekdaysPack = (furigana) => {
+    const pack = validPack();
+    pack.tables = {
+        weekdays: {
+            shape: 'daysOfWeek',
+            items: ['日', '月', '火', '水', '木', '金', '土'].map(
+                (kanji, index) => ({
+                    english: 'Day ' + index,
+                    kanji: kanji + '曜日',
+                    hiragana: 'ようび'
+                })
+            )
+        }
+    };
+    pack.tables.weekdays.items[0].furigana = furigana;
+    pack.questions[0].table = 'weekdays';
+    return pack;
+};
+
+test('the furigana of a table item has to be a list of groups', () => {
+    assert.deepStrictEqual(
+        quiz.validatePack(
+            weekdaysPack([
+                { kanji: '日', hiragana: 'にち' },
+                { kanji: '曜日', hiragana: 'ようび' }
+            ])
+        ),
+        []
+    );
+
+    for (const furigana of [5, 'x', {}, [], [{ kanji: 1, hiragana: 'に' }]]) {
+        assert.deepStrictEqual(
+            quiz.validatePack(weekdaysPack(furigana)),
+            [
+                'tables.weekdays.items[0].furigana: Has to be a list of { "kanji", "hiragana" } groups.'
+            ],
+            JSON.stringify(furigana)
+        );
+    }
+});
+
+test('a question about a month can only name the month', () => {
+    const pack = validPack();
+    pack.questions[0] = {
+        ...pack.questions[0],
+        category: 'month',
+        table: 'months',
+        prompt: '{offset:-1,unit:"month"}は何月{tense}か。',
+        answer: 'What month {tense} it {offset:-1,unit:"month"}?'
+    };
+    assert.deepStrictEqual(quiz.validatePack(pack), []);
+
+    pack.questions[0].prompt =
+        '{offset:-1,unit:"month"}の{days}は何月{tense}か。';
+    assert.deepStrictEqual(quiz.validatePack(pack), [
+        'questions[0].prompt: A question about a month can only name the month, not {days}.'
+    ]);
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const quiz = require(path.join(__dirname, '..', 'src', 'script.js'));
+
+/**
+ * Some days of a year (the start, middle and end of every month).
+ * @param {number} year The year.
+ * @returns {Date[]}
+ */
+const daysOfYear = (year) =>
+    Array.from({ length: 12 }, (_, month) => [
+        new Date(year, month, 1, 0, 0),
+        new Date(year, month, 15, 12, 30),
+        new Date(year, month + 1, 0, 23, 59)
+    ]).flat();
+
+for (const year of [quiz.earliestYear, quiz.latestYear]) {
+    test('every question can be asked in ' + year, () => {
+        for (const date of daysOfYear(year)) {
+            for (const question of quiz.findQuestions({ date })) {
+                for (const seed of [0, 0.25, 0.5, 0.75, 0.999999]) {
+                    const label = question.id + ' on ' + date.toDateString();
+                    assert.doesNotThrow(() => {
+                        question.createQuestion(date, seed);
+                        question.answer(date, seed);
+                        question.vocabulary(date, seed);
+                        question.choices(date, seed);
+                        if (question.targetDate)
+                            question.targetDate(date, seed);
+                    }, label);
+                    assert.ok(
+                        question.accepted(date, seed).length > 0,
+                        label + ' has no accepted answers'
+                    );
+                }
+            }
+        }
+    });
+}
+
+test('the years of the settings are kept in the allowed range', () => {
+    const { minYear, maxYear } = quiz.normalizeSettings({
+        minYear: 1868,
+        maxYear: 2200
+    });
+    assert.strictEqual(minYear, quiz.earliestYear);
+    assert.strictEqual(maxYear, quiz.latestYear);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const quiz = require(path.join(__dirname, '..', 'src', 'script.js'));
+
+/**
+ * The hiragana of a number read with a counter (or on its own).
+ * @param {number} number The number.
+ * @param {string} counter The name of the counter (e.g. year). (Optional)
+ * @returns {string}
+ */
+const reading = (number, counter) =>
+    counter
+        ? quiz.readWithCounter(number, quiz.counters[counter]).hiragana
+        : quiz.readNumber(number).hiragana;
+
+test('numbers are read with the sound changes of the big units', () => {
+    assert.strictEqual(reading(300), 'さんびゃく');
+    assert.strictEqual(reading(600), 'ろっぴゃく');
+    assert.strictEqual(reading(3000), 'さんぜん');
+    assert.strictEqual(reading(8000), 'はっせん');
+    assert.strictEqual(reading(10000), 'いちまん');
+    assert.strictEqual(reading(23456), 'にまんさんぜんよんひゃくごじゅうろく');
+    assert.strictEqual(reading(100000000), 'いちおく');
+    assert.strictEqual(quiz.readNumber(23456).kanji, '二万三千四百五十六');
+});
+
+test('counters use their irregular readings', () => {
+    assert.strictEqual(reading(4, 'year'), 'よねん');
+    assert.strictEqual(reading(9, 'year'), 'くねん');
+    assert.strictEqual(reading(4, 'years'), 'よねんかん');
+    assert.strictEqual(reading(4, 'hour'), 'よじ');
+    assert.strictEqual(reading(9, 'hour'), 'くじ');
+    assert.strictEqual(reading(4, 'month'), 'しがつ');
+    assert.strictEqual(reading(7, 'month'), 'しちがつ');
+    assert.strictEqual(reading(9, 'month'), 'くがつ');
+    assert.strictEqual(reading(6, 'months'), 'ろっかげつ');
+    assert.strictEqual(reading(8, 'weeks'), 'はっしゅうかん');
+});
+
+test('minutes change to ぷん after small っ and ん', () => {
+    assert.strictEqual(reading(1, 'minute'), 'いっぷん');
+    assert.strictEqual(reading(3, 'minute'), 'さんぷん');
+    assert.strictEqual(reading(6, 'minute'), 'ろっぷん');
+    assert.strictEqual(reading(10, 'minute'), 'じゅっぷん');
+});
+
+test('days of the month and ages have their own words', () => {
+    assert.strictEqual(reading(1, 'day'), 'ついたち');
+    assert.strictEqual(reading(14, 'day'), 'じゅうよっか');
+    assert.strictEqual(reading(20, 'day'), 'はつか');
+    assert.strictEqual(reading(24, 'day'), 'にじゅうよっか');
+    assert.deepStrictEqual(quiz.readWithCounter(20, quiz.counters.age), {
+        kanji: '二十歳',
+        hiragana: 'はたち',
+        furigana: [{ kanji: '二十歳', hiragana: 'はたち' }]
+    });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+/**
+ * A small stand-in for the DOM: just enough nodes for render and patch.
+ */
+class FakeNode extends EventTarget {
+    constructor(nodeType) {
+        super();
+        this.nodeType = nodeType;
+        this.childNodes = [];
+        this.parentNode = null;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    appendChild(node) {
+        return this.insertBefore(node, null);
+    }
+
+    insertBefore(node, reference) {
+        // A fragment adds its children.
+        if (node.nodeType === 11) {
+            [...node.childNodes].forEach((child) =>
+                this.insertBefore(child, reference)
+            );
+            return node;
+        }
+
+        if (node.parentNode) node.parentNode.removeChild(node);
+        const index = reference
+            ? this.childNodes.indexOf(reference)
+            : this.childNodes.length;
+        this.childNodes.splice(index, 0, node);
+        node.parentNode = this;
+        return node;
+    }
+
+    removeChild(node) {
+        this.childNodes.splice(this.childNodes.indexOf(node), 1);
+        node.parentNode = null;
+        return node;
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(tagName) {
+        super(1);
+        this.localName = tagName.toLowerCase();
+        this.attributes = new Map();
+    }
+
+    getAttribute(name) {
+        const value = this.attributes.get(name.toLowerCase());
+        return value === undefined ? null : value;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name.toLowerCase(), String(value));
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name.toLowerCase());
+    }
+
+    getAttributeNames() {
+        return [...this.attributes.keys()];
+    }
+}
+
+class FakeText extends FakeNode {
+    constructor(value) {
+        super(3);
+        this.nodeValue = String(value);
+    }
+}
+
+global.Node = { ELEMENT_NODE: 1, TEXT_NODE: 3 };
+global.HTMLElement = FakeElement;
+global.document = {
+    createElement: (tagName) => new FakeElement(tagName),
+    createTextNode: (value) => new FakeText(value),
+    createDocumentFragment: () => new FakeNode(11)
+};
+
+const { h, render, patch, createState, bindState } = require(
+    path.join(__dirname, '..', 'src', 'script.js')
+);
+
+/**
+ * Render elements into a new root.
+ * @param {object[]} children The elements.
+ * @returns {FakeElement}
+ */
+const renderRoot = (children) => {
+    const root = new FakeElement('div');
+    children.forEach((child) => render(child, root));
+    return root;
+};
+
+/**
+ * A list item with a key.
+ * @param {string} key The key (and text).
+ * @returns {object}
+ */
+const item = (key) => h('li', 'item', { key }, [key]);
+
+test('a keyed child that moves keeps its node', () => {
+    const root = renderRoot([item('a'), item('b'), item('c')]);
+    const [a, b, c] = root.childNodes;
+
+    patch(root, [item('c'), item('a'), item('b')]);
+    assert.deepStrictEqual(root.childNodes, [c, a, b]);
+    assert.strictEqual(root.childNodes[0].firstChild.nodeValue, 'c');
+});
+
+test('a child whose key is gone is detached', () => {
+    const root = renderRoot([item('a'), item('b'), item('c')]);
+    const [a, b, c] = root.childNodes;
+
+    patch(root, [item('a'), item('c')]);
+    assert.deepStrictEqual(root.childNodes, [a, c]);
+    assert.strictEqual(b.parentNode, null);
+});
+
+test('unkeyed children are updated in order', () => {
+    const root = renderRoot([h('p', 'text', {}, ['before'])]);
+    const paragraph = root.firstChild;
+    const text = paragraph.firstChild;
+
+    patch(root, [h('p', 'text text-changed', { lang: 'ja' }, ['after'])]);
+    assert.strictEqual(root.firstChild, paragraph);
+    assert.strictEqual(paragraph.firstChild, text);
+    assert.strictEqual(text.nodeValue, 'after');
+    assert.strictEqual(paragraph.getAttribute('class'), 'text text-changed');
+    assert.strictEqual(paragraph.getAttribute('lang'), 'ja');
+
+    patch(root, [h('p', 'text', {}, ['after'])]);
+    assert.strictEqual(paragraph.getAttribute('lang'), null);
+
+    // Another tag is a new node.
+    patch(root, [h('span', 'text', {}, ['after'])]);
+    assert.notStrictEqual(root.firstChild, paragraph);
+    assert.strictEqual(root.firstChild.localName, 'span');
+});
+
+test('listeners are swapped and removed', () => {
+    const calls = [];
+    const root = renderRoot([
+        h('button', '', { onClick: () => calls.push('first') }, ['Go'])
+    ]);
+    const button = root.firstChild;
+
+    button.dispatchEvent(new Event('click'));
+    patch(root, [
+        h('button', '', { onClick: () => calls.push('second') }, ['Go'])
+    ]);
+    button.dispatchEvent(new Event('click'));
+    patch(root, [h('button', '', {}, ['Go'])]);
+    button.dispatchEvent(new Event('click'));
+
+    assert.strictEqual(root.firstChild, button);
+    assert.deepStrictEqual(calls, ['first', 'second']);
+    assert.strictEqual(button.getAttribute('onclick'), null);
+});
+
+test('a bound state patches its element when it changes', () => {
+    const ref = { current: null };
+    const state = createState({ items: ['a', 'b'] });
+    const root = renderRoot([
+        h(
+            'ul',
+            'list',
+            {},
+            bindState(ref, state, ({ items }) => items.map(item)),
+            ref
+        )
+    ]);
+    const [a] = ref.current.childNodes;
+
+    state.set((value) => ({ items: [...value.items, 'c'] }));
+    assert.strictEqual(root.firstChild, ref.current);
+    assert.strictEqual(ref.current.childNodes[0], a);
+    assert.deepStrictEqual(
+        ref.current.childNodes.map((node) => node.firstChild.nodeValue),
+        ['a', 'b', 'c']
+    );
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const quiz = require(path.join(__dirname, '..', 'src', 'script.js'));
+
+test('romaji separates ん from a vowel or y and doubles the consonant after っ', () => {
+    assert.strictEqual(quiz.toRomaji('しんおおさか'), "shin'ōsaka");
+    assert.strictEqual(quiz.toRomaji('きんえん'), "kin'en");
+    assert.strictEqual(quiz.toRomaji('こんや'), "kon'ya");
+    assert.strictEqual(quiz.toRomaji('さんぜん'), 'sanzen');
+    assert.strictEqual(quiz.toRomaji('いっぷん'), 'ippun');
+    assert.strictEqual(quiz.toRomaji('まっちゃ'), 'matcha');
+    assert.strictEqual(quiz.toRomaji('じゅうよっか'), 'jūyokka');
+});
+
+test('romaji writes long vowels with a macron (in katakana too)', () => {
+    assert.strictEqual(quiz.toRomaji('とうきょう'), 'tōkyō');
+    assert.strictEqual(quiz.toRomaji('ゴールデンウィーク'), "gōruden'uīku");
+});